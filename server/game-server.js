@@ -0,0 +1,425 @@
+import { WebSocketServer } from 'ws';
+import { Room } from './room.js';
+
+/**
+ * Delay between the countdown broadcast and the actual game start (3, 2, 1, Go!)
+ */
+const COUNTDOWN_DURATION = 4000;
+
+/**
+ * How long a disconnected player's seat is kept during a game for rejoin_room
+ */
+const REJOIN_GRACE_PERIOD = 30000;
+
+/**
+ * WebSocket game server speaking the multiplayer client's protocol.
+ * Clients send `{ type, payload }`, the server answers with `{ event, data }`.
+ */
+export class GameServer {
+  /**
+   * Create a new game server
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on
+   * @param {http.Server} options.server - Existing HTTP server to attach to (optional)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.rooms = new Map();
+    this.wss = null;
+
+    this.handleConnection = this.handleConnection.bind(this);
+  }
+
+  /**
+   * Start listening for WebSocket connections
+   * @returns {WebSocketServer} The underlying WebSocket server
+   */
+  start() {
+    this.wss = this.options.server
+      ? new WebSocketServer({ server: this.options.server })
+      : new WebSocketServer({ port: this.options.port || 8080 });
+
+    this.wss.on('connection', this.handleConnection);
+    return this.wss;
+  }
+
+  /**
+   * Stop the server and clear all rooms
+   * @returns {Promise} Resolves once the server is closed
+   */
+  stop() {
+    this.rooms.forEach(room => clearTimeout(room.countdownTimer));
+    this.rooms.clear();
+
+    return new Promise(resolve => {
+      if (!this.wss) return resolve();
+      this.wss.clients.forEach(client => client.terminate());
+      this.wss.close(() => resolve());
+    });
+  }
+
+  /**
+   * Handle a new client connection
+   * @param {WebSocket} socket - The client socket
+   */
+  handleConnection(socket) {
+    // Which room/player this socket belongs to, once known
+    socket.session = { roomCode: null, playerId: null };
+
+    socket.on('message', raw => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        this.sendError(socket, 'Invalid message format', 'invalidMessage');
+        return;
+      }
+
+      try {
+        this.handleMessage(socket, message.type, message.payload || {});
+      } catch (error) {
+        console.error('Error handling message:', error);
+        this.sendError(socket, 'Internal server error', 'serverError');
+      }
+    });
+
+    socket.on('close', () => this.handleDisconnect(socket));
+  }
+
+  /**
+   * Dispatch a client message to its handler
+   * @param {WebSocket} socket - The client socket
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   */
+  handleMessage(socket, type, payload) {
+    switch (type) {
+      case 'create_room':
+        this.handleCreateRoom(socket, payload);
+        break;
+      case 'join_room':
+        this.handleJoinRoom(socket, payload);
+        break;
+      case 'player_ready':
+        this.handlePlayerReady(socket, payload);
+        break;
+      case 'player_move':
+        this.handlePlayerMove(socket, payload);
+        break;
+      case 'player_confirm':
+        this.handlePlayerConfirm(socket, payload);
+        break;
+      case 'rejoin_room':
+        this.handleRejoinRoom(socket, payload);
+        break;
+      default:
+        this.sendError(socket, `Unknown message type: ${type}`, 'invalidMessage');
+    }
+  }
+
+  /**
+   * Handle create_room
+   * @param {WebSocket} socket - The client socket
+   * @param {Object} payload - { playerName, maxPlayers, rows, cols, edges, range, sequence, seed, victimRule, controls }
+   */
+  handleCreateRoom(socket, payload) {
+    if (!this.isValidName(payload.playerName)) {
+      this.sendError(socket, 'Name must be between 3 and 20 characters', 'invalidName');
+      return;
+    }
+
+    const room = new Room({
+      id: this.generateRoomCode(),
+      maxPlayers: payload.maxPlayers,
+      rows: payload.rows,
+      cols: payload.cols,
+      edges: payload.edges,
+      range: payload.range,
+      sequence: payload.sequence,
+      seed: payload.seed,
+      victimRule: payload.victimRule
+    });
+    this.leaveRoom(socket);
+    this.rooms.set(room.id, room);
+
+    const player = room.addPlayer(payload, socket);
+    socket.session = { roomCode: room.id, playerId: player.id };
+
+    console.log(`Room ${room.id} created by ${player.name}`);
+    this.send(socket, 'room_created', { roomCode: room.id, playerId: player.id, rejoinToken: player.rejoinToken, room });
+  }
+
+  /**
+   * Handle join_room
+   * @param {WebSocket} socket - The client socket
+   * @param {Object} payload - { roomCode, playerName, controls }
+   */
+  handleJoinRoom(socket, payload) {
+    const room = this.rooms.get(String(payload.roomCode || '').toUpperCase());
+
+    if (!room) {
+      this.sendError(socket, 'Room not found', 'roomNotFound');
+      return;
+    }
+
+    // Joining the room this socket is already in changes nothing
+    const current = room.getPlayer(socket.session.playerId);
+    if (current?.socket === socket) {
+      this.send(socket, 'room_joined', { roomCode: room.id, playerId: current.id, rejoinToken: current.rejoinToken, room });
+      return;
+    }
+
+    if (room.status !== 'waiting') {
+      this.sendError(socket, 'Game already in progress', 'gameInProgress');
+      return;
+    }
+    if (room.isFull()) {
+      this.sendError(socket, 'Room is full', 'roomFull');
+      return;
+    }
+    if (!this.isValidName(payload.playerName)) {
+      this.sendError(socket, 'Name must be between 3 and 20 characters', 'invalidName');
+      return;
+    }
+
+    this.leaveRoom(socket);
+    const player = room.addPlayer(payload, socket);
+    socket.session = { roomCode: room.id, playerId: player.id };
+
+    console.log(`${player.name} joined room ${room.id}`);
+    this.send(socket, 'room_joined', { roomCode: room.id, playerId: player.id, rejoinToken: player.rejoinToken, room });
+    room.broadcast('player_joined', { room, playerId: player.id }, player.id);
+  }
+
+  /**
+   * Handle player_ready
+   * @param {WebSocket} socket - The client socket
+   * @param {Object} payload - { roomCode, playerId, isReady }
+   */
+  handlePlayerReady(socket, payload) {
+    const context = this.getContext(socket, payload);
+    if (!context) return;
+
+    const { room, player } = context;
+    // Getting ready after a game sets the room up for the next one
+    room.reopen();
+    if (room.status !== 'waiting') return;
+
+    player.isReady = !!payload.isReady;
+    room.broadcast('player_update', { room, playerId: player.id });
+
+    if (room.canStart()) {
+      this.startCountdown(room);
+    }
+  }
+
+  /**
+   * Handle player_move
+   * @param {WebSocket} socket - The client socket
+   * @param {Object} payload - { roomCode, playerId, position }
+   */
+  handlePlayerMove(socket, payload) {
+    const context = this.getContext(socket, payload);
+    if (!context) return;
+
+    const lastMove = context.room.movePlayer(context.player.id, payload.position);
+    if (lastMove) {
+      context.room.broadcast('game_update', { room: context.room, lastMove });
+    }
+  }
+
+  /**
+   * Handle player_confirm
+   * @param {WebSocket} socket - The client socket
+   * @param {Object} payload - { roomCode, playerId, position }
+   */
+  handlePlayerConfirm(socket, payload) {
+    const context = this.getContext(socket, payload);
+    if (!context) return;
+
+    const lastMove = context.room.confirmSelection(context.player.id, payload.position);
+    if (lastMove) {
+      context.room.broadcast('game_update', { room: context.room, lastMove });
+    }
+  }
+
+  /**
+   * Handle rejoin_room after a dropped connection. Only the player's own
+   * client knows the rejoin token, and a seat that is still connected
+   * cannot be taken over.
+   * @param {WebSocket} socket - The client socket
+   * @param {Object} payload - { roomCode, playerId, rejoinToken }
+   */
+  handleRejoinRoom(socket, payload) {
+    const room = this.rooms.get(String(payload.roomCode || '').toUpperCase());
+    const player = room?.getPlayer(payload.playerId);
+
+    if (!player || player.connected || typeof payload.rejoinToken !== 'string' || payload.rejoinToken !== player.rejoinToken) {
+      this.sendError(socket, 'Could not rejoin the room', 'rejoinFailed');
+      return;
+    }
+
+    this.leaveRoom(socket);
+    clearTimeout(player.removeTimer);
+    player.socket = socket;
+    player.connected = true;
+    socket.session = { roomCode: room.id, playerId: player.id };
+
+    console.log(`${player.name} rejoined room ${room.id}`);
+
+    if (room.status === 'waiting') {
+      this.send(socket, 'room_joined', { roomCode: room.id, playerId: player.id, rejoinToken: player.rejoinToken, room });
+    } else {
+      this.send(socket, 'game_update', { room, lastMove: null });
+    }
+    room.broadcast('player_update', { room, playerId: player.id }, player.id);
+  }
+
+  /**
+   * Handle a closed socket
+   * @param {WebSocket} socket - The client socket
+   */
+  handleDisconnect(socket) {
+    const { roomCode, playerId } = socket.session || {};
+    const room = this.rooms.get(roomCode);
+    const player = room?.getPlayer(playerId);
+    if (!player || player.socket !== socket) return;
+
+    player.connected = false;
+
+    if (room.status === 'playing') {
+      // Keep the seat for a while so the player can use rejoin_room
+      player.removeTimer = setTimeout(() => this.removePlayer(room, playerId), REJOIN_GRACE_PERIOD);
+    } else {
+      this.removePlayer(room, playerId);
+    }
+  }
+
+  /**
+   * Take a socket's player out of the room it is in, before it creates or
+   * joins another one
+   * @param {WebSocket} socket - The client socket
+   */
+  leaveRoom(socket) {
+    const { roomCode, playerId } = socket.session || {};
+    const room = this.rooms.get(roomCode);
+    const player = room?.getPlayer(playerId);
+    socket.session = { roomCode: null, playerId: null };
+    if (!player || player.socket !== socket) return;
+
+    clearTimeout(player.removeTimer);
+    this.removePlayer(room, playerId);
+  }
+
+  /**
+   * Remove a player from a room and notify the others
+   * @param {Room} room - The room
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(room, playerId) {
+    const hostChanged = room.removePlayer(playerId);
+
+    if (room.players.length === 0) {
+      clearTimeout(room.countdownTimer);
+      this.rooms.delete(room.id);
+      console.log(`Room ${room.id} closed`);
+      return;
+    }
+
+    // A countdown can no longer go ahead with a player missing
+    if (room.status === 'countdown' && room.players.length < 2) {
+      clearTimeout(room.countdownTimer);
+      room.status = 'waiting';
+    }
+
+    room.broadcast('player_left', { room, playerId });
+    if (hostChanged) {
+      room.broadcast('host_changed', { room, newHost: room.host });
+    }
+  }
+
+  /**
+   * Broadcast the countdown and start the game once it has elapsed
+   * @param {Room} room - The room
+   */
+  startCountdown(room) {
+    room.status = 'countdown';
+    room.broadcast('game_countdown_start', { room });
+
+    room.countdownTimer = setTimeout(() => {
+      if (room.status !== 'countdown') return;
+      room.startGame();
+      console.log(`Game started in room ${room.id}`);
+      room.broadcast('game_start', { room });
+    }, COUNTDOWN_DURATION);
+  }
+
+  /**
+   * Resolve and validate the room and player a message refers to
+   * @param {WebSocket} socket - The client socket
+   * @param {Object} payload - Message payload with roomCode and playerId
+   * @returns {Object|null} { room, player } or null if invalid
+   */
+  getContext(socket, payload) {
+    const room = this.rooms.get(payload.roomCode);
+    const player = room?.getPlayer(payload.playerId);
+
+    if (!player) {
+      this.sendError(socket, 'Room or player not found', 'playerNotFound');
+      return null;
+    }
+
+    // A socket may only act for the player it created or rejoined as
+    if (player.socket !== socket) {
+      this.sendError(socket, 'Not allowed to act for this player', 'notAllowed');
+      return null;
+    }
+
+    return { room, player };
+  }
+
+  /**
+   * Generate a unique 6-letter room code
+   * @returns {string} Room code
+   */
+  generateRoomCode() {
+    const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+    let code;
+    do {
+      code = Array.from({ length: 6 }, () => letters[Math.floor(Math.random() * letters.length)]).join('');
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  /**
+   * Check a player name against the client's form rules
+   * @param {string} name - Player name
+   * @returns {boolean} True if valid
+   */
+  isValidName(name) {
+    const trimmed = String(name || '').trim();
+    return trimmed.length >= 3 && trimmed.length <= 20;
+  }
+
+  /**
+   * Send an event to a single socket
+   * @param {WebSocket} socket - The client socket
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  send(socket, event, data) {
+    if (socket.readyState === 1) {
+      socket.send(JSON.stringify({ event, data }));
+    }
+  }
+
+  /**
+   * Send an error event to a single socket
+   * @param {WebSocket} socket - The client socket
+   * @param {string} message - Error message
+   * @param {string} code - Stable error code; clients show it as a translated string
+   */
+  sendError(socket, message, code = 'serverError') {
+    this.send(socket, 'error', { message, code });
+  }
+}
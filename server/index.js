@@ -0,0 +1,17 @@
+import { GameServer } from './game-server.js';
+
+// Port can be overridden with the PORT environment variable
+const port = parseInt(process.env.PORT, 10) || 8080;
+
+const server = new GameServer({ port });
+server.start();
+
+console.log(`Shaka multiplayer server listening on ws://0.0.0.0:${port}`);
+
+// Close client connections cleanly on shutdown
+const shutdown = () => {
+  server.stop().then(() => process.exit(0));
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
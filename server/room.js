@@ -0,0 +1,274 @@
+import { randomUUID } from 'node:crypto';
+import { GameEngine, VICTIM_RULES } from '../src/engine/game-engine.js';
+
+/**
+ * Colors handed out to players in join order (matches multiplayer.css)
+ */
+export const PLAYER_COLORS = [
+  '#008000', '#ffa500', '#ff0000', '#0000ff', '#800080',
+  '#ff1493', '#00ffff', '#ffd700', '#8b4513', '#808080'
+];
+
+/**
+ * Server-side Room class holding the players and game state of one match
+ */
+export class Room {
+  /**
+   * Create a new room
+   * @param {Object} config - Room configuration
+   * @param {string} config.id - Room code
+   * @param {number} config.maxPlayers - Maximum number of players (2-10)
+   * @param {number} config.rows - Number of board rows
+   * @param {number} config.cols - Number of board columns
+   * @param {string} config.edges - 'wrap' or 'clamp'
+   * @param {string} config.range - Number range ID or custom spec (unknown ones fall back to 1, 2, 3, ...)
+   * @param {string} config.sequence - Target sequence ID, e.g. 'countdown' or 'multiples:3'
+   * @param {string} config.seed - Board seed (a new one is made up each game when omitted)
+   * @param {string} config.victimRule - Whose cell a power steals: one of VICTIM_RULES (default 'random')
+   */
+  constructor(config) {
+    this.id = config.id;
+    this.maxPlayers = Math.min(Math.max(parseInt(config.maxPlayers, 10) || 4, 2), 10);
+    this.rows = Room.clampDimension(config.rows);
+    this.cols = Room.clampDimension(config.cols);
+    this.edges = config.edges === 'clamp' ? 'clamp' : 'wrap';
+    this.range = config.range ? String(config.range).slice(0, 200) : undefined;
+    this.sequence = config.sequence ? String(config.sequence).slice(0, 40) : undefined;
+    this.seed = config.seed ? String(config.seed).slice(0, 40) : null;
+    this.victimRule = VICTIM_RULES.includes(config.victimRule) ? config.victimRule : VICTIM_RULES[0];
+    this.host = null;
+    this.players = [];
+
+    // 'waiting' -> 'countdown' -> 'playing' -> 'finished'
+    this.status = 'waiting';
+
+    // Same rules as local play: three finds in a row steal a cell
+    this.engine = new GameEngine({
+      rows: this.rows,
+      cols: this.cols,
+      edges: this.edges,
+      range: this.range,
+      sequence: this.sequence,
+      victimRule: this.victimRule,
+      // Online games end as soon as someone owns more than half of the targets
+      majorityWins: true
+    });
+  }
+
+  /**
+   * Keep a requested board dimension within what the client can display
+   * @param {number} value - Requested rows or columns
+   * @returns {number} Dimension between 3 and 20 (10 by default)
+   */
+  static clampDimension(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) ? Math.min(Math.max(parsed, 3), 20) : 10;
+  }
+
+  /**
+   * Board numbers, cell ownership and current target
+   * @returns {Object} Game state
+   */
+  get gameState() {
+    return this.engine.getState();
+  }
+
+  /**
+   * Whether the room cannot take more players
+   * @returns {boolean} True if full
+   */
+  isFull() {
+    return this.players.length >= this.maxPlayers;
+  }
+
+  /**
+   * Add a player to the room
+   * @param {Object} data - Player data from the client
+   * @param {string} data.playerName - Player name
+   * @param {Object} data.controls - Player controls keybindings
+   * @param {WebSocket} socket - The player's socket
+   * @returns {Object} The new player
+   */
+  addPlayer(data, socket) {
+    const index = this.nextFreeIndex();
+    const id = randomUUID();
+    const player = {
+      id,
+      // Only sent to this player's own socket: proves who they are on rejoin_room
+      rejoinToken: randomUUID(),
+      name: String(data.playerName || `Player ${index}`).trim().slice(0, 20),
+      index,
+      color: PLAYER_COLORS[(index - 1) % PLAYER_COLORS.length],
+      controls: data.controls || {},
+      isReady: false,
+      connected: true,
+      socket,
+      state: GameEngine.createPlayerState({ id, index, position: this.engine.getStartPosition(index) })
+    };
+
+    this.players.push(player);
+    this.engine.addPlayer(player.state);
+
+    if (!this.host) {
+      this.host = player.id;
+    }
+
+    return player;
+  }
+
+  /**
+   * Remove a player from the room, handing the host role over if needed
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the host changed
+   */
+  removePlayer(playerId) {
+    this.players = this.players.filter(player => player.id !== playerId);
+    this.engine.removePlayer(playerId);
+
+    if (this.host === playerId) {
+      this.host = this.players.length > 0 ? this.players[0].id : null;
+      return this.host !== null;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get a player by ID
+   * @param {string} playerId - Player ID
+   * @returns {Object|undefined} The player
+   */
+  getPlayer(playerId) {
+    return this.players.find(player => player.id === playerId);
+  }
+
+  /**
+   * Get the lowest player index not yet taken
+   * @returns {number} Player index (1-based)
+   */
+  nextFreeIndex() {
+    let index = 1;
+    while (this.players.some(player => player.index === index)) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Whether every player is ready and there are enough to start
+   * @returns {boolean} True if the game can start
+   */
+  canStart() {
+    return this.status === 'waiting'
+      && this.players.length >= 2
+      && this.players.every(player => player.isReady);
+  }
+
+  /**
+   * Open a finished room for another game: back to waiting, nobody ready
+   */
+  reopen() {
+    if (this.status !== 'finished') return;
+
+    this.status = 'waiting';
+    this.players.forEach(player => {
+      player.isReady = false;
+    });
+  }
+
+  /**
+   * Start a new game: shuffle the board and reset player stats
+   */
+  startGame() {
+    this.status = 'playing';
+    this.engine.setup(null, this.seed);
+    this.engine.start();
+  }
+
+  /**
+   * Move a player to a new position
+   * @param {string} playerId - Player ID
+   * @param {number} position - New position (1-based)
+   * @returns {Object|null} Last move info, or null if rejected
+   */
+  movePlayer(playerId, position) {
+    if (this.status !== 'playing' || this.engine.moveTo(playerId, position) === null) {
+      return null;
+    }
+
+    return { type: 'move', playerId, position, targetFound: false };
+  }
+
+  /**
+   * Confirm the number at a player's position
+   * @param {string} playerId - Player ID
+   * @param {number} position - Position being confirmed (1-based)
+   * @returns {Object|null} Last move info, or null if rejected. Besides targetFound it
+   *   tells what the rules made of it: outcome is 'found', 'recovered', 'saved' or null;
+   *   a find that completes a streak steals stolenPosition from victimId, and a save
+   *   takes the cell from victimId (the thief)
+   */
+  confirmSelection(playerId, position) {
+    if (this.status !== 'playing' || !this.getPlayer(playerId) || !this.engine.isValidPosition(position)) {
+      return null;
+    }
+
+    const target = this.engine.currentTarget;
+    const result = this.engine.confirm(playerId, position);
+    const targetFound = result?.type === 'found';
+
+    if (this.engine.isOver()) {
+      this.status = 'finished';
+    }
+
+    return {
+      type: 'confirm',
+      playerId,
+      position,
+      target,
+      targetFound,
+      outcome: result?.type ?? null,
+      stolenPosition: result?.stolenPosition ?? null,
+      victimId: result?.victimId ?? null
+    };
+  }
+
+  /**
+   * Send a message to every connected player in the room
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @param {string} exceptId - Player ID to skip (optional)
+   */
+  broadcast(event, data, exceptId = null) {
+    const message = JSON.stringify({ event, data });
+    this.players.forEach(player => {
+      if (player.id !== exceptId && player.connected && player.socket?.readyState === 1) {
+        player.socket.send(message);
+      }
+    });
+  }
+
+  /**
+   * Serialize the room for clients (sockets and rejoin tokens are left out)
+   * @returns {Object} Room data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      host: this.host,
+      maxPlayers: this.maxPlayers,
+      status: this.status,
+      victimRule: this.victimRule,
+      players: this.players.map(({ socket, state, removeTimer, rejoinToken, ...player }) => ({
+        ...player,
+        position: state.position,
+        score: state.score,
+        moveCount: state.moveCount,
+        power: state.power,
+        saves: state.saves,
+        stolen: state.stolen
+      })),
+      gameState: this.gameState
+    };
+  }
+}
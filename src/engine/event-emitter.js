@@ -0,0 +1,41 @@
+/**
+ * Minimal event emitter that works both in the browser and in Node
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Callback function(payload)
+   * @returns {Function} Function that removes the listener
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} listener - The callback passed to on()
+   */
+  off(event, listener) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(fn => fn !== listener);
+  }
+
+  /**
+   * Notify all listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(event, payload) {
+    (this.listeners[event] || []).slice().forEach(listener => listener(payload));
+  }
+}
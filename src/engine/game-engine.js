@@ -0,0 +1,879 @@
+import { EventEmitter } from './event-emitter.js';
+import { createRandom, randomSeed } from './random.js';
+import { DEFAULT_RANGE, DEFAULT_SEQUENCE, buildNumbers, orderTargets, pickDecoys } from './sequences.js';
+
+/**
+ * Movement directions understood by GameEngine.move()
+ */
+export const DIRECTIONS = ['up', 'right', 'down', 'left'];
+
+/**
+ * Row/column steps for each direction
+ */
+const DIRECTION_STEPS = {
+  up: [-1, 0],
+  right: [0, 1],
+  down: [1, 0],
+  left: [0, -1]
+};
+
+/**
+ * What a power does (see GameEngine.usePower): 'steal' takes opponent cells
+ * as soon as it is earned; the others are kept until the player's power key:
+ * 'freeze' stops an opponent moving, 'shuffle' deals the free cells again,
+ * 'reveal' shows the row of the target and 'block' keeps opponents off the
+ * target's cell for a while
+ */
+export const POWER_UPS = ['steal', 'freeze', 'shuffle', 'reveal', 'block'];
+
+/**
+ * Power rules used for anything not given in config.powerRules:
+ * - streak: consecutive finds that earn a power
+ * - reset: start counting again after a power (false: one power per streak)
+ * - stealCount: cells a steal takes
+ * - powerUp: one of POWER_UPS, or 'mixed' for a random one each time
+ * - seconds: how long a freeze, reveal or block lasts
+ */
+export const DEFAULT_POWER_RULES = {
+  streak: 3,
+  reset: false,
+  stealCount: 1,
+  powerUp: 'steal',
+  seconds: 5
+};
+
+/**
+ * What happens to a target whose time runs out (see GameEngine.expireTarget)
+ */
+export const TIMEOUT_OUTCOMES = ['skip', 'unclaimed', 'penalty'];
+
+/**
+ * Whose cell a power steals (see GameEngine.chooseVictim):
+ * 'random' any opponent's cell, 'leader' a cell of the opponent with the
+ * highest score, 'lastFinder' a cell of the opponent who found a target last
+ */
+export const VICTIM_RULES = ['random', 'leader', 'lastFinder'];
+
+/**
+ * DOM-free game engine holding the rules and state of a Shaka game.
+ * It owns the board numbers, player positions, found/stolen ownership,
+ * power counters and target progression. Targets are found in the order of
+ * the `targets` list (1, 2, 3, ... by default; see sequences.js), and cells
+ * holding no target are decoys. Renderers subscribe to its events:
+ *
+ * - `setup`    { numbers, rows, cols, seed }
+ * - `move`     { player, from, to }
+ * - `cell`     { position, foundBy, stolenBy }
+ * - `target`   { target }
+ * - `found`    { player, position, target }
+ * - `steal`    { player, victim, position }
+ * - `powerup`  { player, powerUp }  (a power kept for the power key)
+ * - `freeze`   { player, victim, seconds }
+ * - `shuffle`  { player, positions, numbers }
+ * - `reveal`   { player, positions, seconds }
+ * - `block`    { player, position, seconds }
+ * - `recover`  { player, position }
+ * - `save`     { player, victim, position }
+ * - `expire`   { target, position, outcome }
+ * - `score`    { players }
+ * - `gameover` { players }
+ */
+export class GameEngine extends EventEmitter {
+  /**
+   * Create a new engine
+   * @param {Object} config - Engine configuration
+   * @param {number} config.rows - Number of rows
+   * @param {number} config.cols - Number of columns
+   * @param {string} config.edges - 'wrap' to come out on the opposite side, 'clamp' to stop at the edge
+   * @param {string} config.range - Number range: a NUMBER_RANGES ID or a custom spec (see sequences.js)
+   * @param {string} config.sequence - Which numbers are targets, in what order: a SEQUENCES ID (see sequences.js)
+   * @param {boolean} config.powers - Whether streaks steal cells (default true)
+   * @param {string} config.victimRule - One of VICTIM_RULES (default 'random')
+   * @param {Object} config.powerRules - Overrides for DEFAULT_POWER_RULES
+   * @param {boolean} config.majorityWins - Whether owning more than half of the targets ends the game (default false)
+   */
+  constructor(config = {}) {
+    super();
+    this.configure(config);
+    this.powers = config.powers !== false;
+    this.majorityWins = !!config.majorityWins;
+    this.victimRule = VICTIM_RULES.includes(config.victimRule) ? config.victimRule : VICTIM_RULES[0];
+
+    // Every generated board gets a seed so it can be replayed (see setup)
+    this.seed = null;
+    this.random = Math.random;
+
+    this.numbers = [];
+    this.cells = [];
+    this.players = [];
+    this.targets = [];
+    this.targetIndex = 0;
+    this.currentTarget = 1;
+    this.skippedTargets = [];
+    // IDs of the players who found targets, oldest first (for the 'lastFinder' rule)
+    this.finders = [];
+    // Cells kept from opponents by a block: position -> { playerId, until }
+    this.blocked = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Change the board dimensions, edge behaviour, number range and sequence (takes effect on the next setup)
+   * @param {Object} options - Board options
+   * @param {number} options.rows - Number of rows
+   * @param {number} options.cols - Number of columns
+   * @param {string} options.edges - 'wrap' or 'clamp'
+   * @param {string} options.range - A NUMBER_RANGES ID or a custom spec
+   * @param {string} options.sequence - A SEQUENCES ID, e.g. 'countdown' or 'multiples:3'
+   * @param {Object} options.powerRules - Overrides for DEFAULT_POWER_RULES
+   */
+  configure(options = {}) {
+    this.rows = options.rows || this.rows || 10;
+    this.cols = options.cols || this.cols || 10;
+    this.edges = options.edges || this.edges || 'wrap';
+    this.range = options.range || this.range || DEFAULT_RANGE;
+    this.sequence = options.sequence || this.sequence || DEFAULT_SEQUENCE;
+    this.totalCells = this.rows * this.cols;
+    this.powerRules = this.readPowerRules({ ...this.powerRules, ...options.powerRules });
+
+    // Starting corners depend on the board size
+    (this.players || []).forEach(player => {
+      player.startPosition = this.getStartPosition(player.index);
+    });
+  }
+
+  /**
+   * Fill in and check power rules, falling back to DEFAULT_POWER_RULES
+   * @param {Object} rules - Rules to check
+   * @returns {Object} Complete power rules
+   */
+  readPowerRules(rules = {}) {
+    const whole = (value, min, fallback) => (Number.isInteger(value) && value >= min ? value : fallback);
+    return {
+      streak: whole(rules.streak, 1, DEFAULT_POWER_RULES.streak),
+      reset: typeof rules.reset === 'boolean' ? rules.reset : DEFAULT_POWER_RULES.reset,
+      stealCount: whole(rules.stealCount, 1, DEFAULT_POWER_RULES.stealCount),
+      powerUp: POWER_UPS.includes(rules.powerUp) || rules.powerUp === 'mixed' ? rules.powerUp : DEFAULT_POWER_RULES.powerUp,
+      seconds: rules.seconds > 0 ? rules.seconds : DEFAULT_POWER_RULES.seconds
+    };
+  }
+
+  /**
+   * Get the starting position for a player, corners first
+   * @param {number} index - Player index (1-based)
+   * @returns {number} Position (1-based)
+   */
+  getStartPosition(index) {
+    const corners = [1, this.cols, this.totalCells - this.cols + 1, this.totalCells];
+
+    if (index <= corners.length) {
+      return corners[index - 1];
+    }
+
+    // Spread the remaining players along the middle row
+    const middleRow = Math.floor(this.rows / 2);
+    return middleRow * this.cols + ((index - corners.length - 1) % this.cols) + 1;
+  }
+
+  /**
+   * Create the state record the engine keeps for a player
+   * @param {Object} config - Player configuration
+   * @param {string|number} config.id - Player unique ID
+   * @param {number} config.index - Player index (1, 2, etc.)
+   * @param {number} config.position - Starting position (1-based)
+   * @returns {Object} Player state
+   */
+  static createPlayerState(config) {
+    return {
+      id: config.id,
+      index: config.index,
+      position: config.position || 1,
+      startPosition: config.position || 1,
+      score: 0,
+      moveCount: 0,
+      power: 0,
+      powerCounter: 0,
+      saves: 0,
+      stolen: 0,
+      penalties: 0,
+      // Powers kept for the power key, oldest first
+      powerUps: [],
+      // Time (ms) until which a freeze holds the player still
+      frozenUntil: 0
+    };
+  }
+
+  /**
+   * Generate random numbers for the grid
+   * @param {number} min - Minimum number
+   * @param {number} max - Maximum number (defaults to the number of cells)
+   * @returns {Array} Array of random numbers
+   */
+  generateNumbers(min = 1, max = this.totalCells) {
+    const numbers = [];
+    while (numbers.length < this.totalCells) {
+      const randomNumber = Math.floor(this.random() * (max - min + 1)) + min;
+      if (!numbers.includes(randomNumber)) {
+        numbers.push(randomNumber);
+      }
+    }
+    return numbers;
+  }
+
+  /**
+   * Lay out numbers on the board, filling any spare cells with decoys
+   * @param {Array} values - Numbers that must be on the board
+   * @returns {Array} Board numbers
+   */
+  dealNumbers(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    // A full run of consecutive numbers is dealt as before, so old seeds give the same boards
+    if (values.length === this.totalCells && max - min + 1 === this.totalCells) {
+      return this.generateNumbers(min, max);
+    }
+
+    const numbers = [...values, ...pickDecoys(values, this.totalCells - values.length, this.random)];
+    for (let i = numbers.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+    }
+    return numbers;
+  }
+
+  /**
+   * Prepare a new board and clear all ownership
+   * @param {Array} numbers - Board numbers (generated when omitted)
+   * @param {string} seed - Seed for the board and steals (a fresh one is made up when omitted)
+   * @param {Array} targets - Targets in order (the range in the order of the sequence when
+   *   omitted; with given numbers and no targets, every number is a target, smallest first)
+   */
+  setup(numbers = null, seed = null, targets = null) {
+    this.seed = seed !== null ? String(seed) : (numbers ? null : randomSeed());
+    this.random = this.seed !== null ? createRandom(this.seed) : Math.random;
+
+    if (numbers) {
+      this.numbers = [...numbers];
+      this.targets = targets ? [...targets] : [...numbers].sort((a, b) => a - b);
+    } else if (targets) {
+      this.targets = [...targets];
+      this.numbers = this.dealNumbers(this.targets);
+    } else {
+      // Deal the whole range first, so the same seed gives the same board whatever the sequence
+      const rangeNumbers = buildNumbers(this.range, this.totalCells, this.random);
+      this.numbers = this.dealNumbers(rangeNumbers);
+      this.targets = orderTargets(rangeNumbers, this.sequence, this.random);
+    }
+
+    this.cells = this.numbers.map(() => ({ foundBy: null, stolenBy: null }));
+    this.targetIndex = 0;
+    this.currentTarget = this.targets[0];
+    this.skippedTargets = [];
+    this.finders = [];
+    this.blocked = new Map();
+    this.running = false;
+
+    this.players.forEach(player => this.resetPlayer(player));
+    this.emit('setup', { numbers: this.numbers, rows: this.rows, cols: this.cols, seed: this.seed });
+  }
+
+  /**
+   * Register a player with the engine
+   * @param {Object} state - Player state from GameEngine.createPlayerState()
+   * @returns {Object} The same player state
+   */
+  addPlayer(state) {
+    this.players.push(state);
+    return state;
+  }
+
+  /**
+   * Remove a player and release the cells they own
+   * @param {string|number} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.players = this.players.filter(player => player.id !== playerId);
+    this.cells.forEach((cell, i) => {
+      if (cell.foundBy === playerId || cell.stolenBy === playerId) {
+        this.setCell(i + 1, { foundBy: null, stolenBy: null });
+      }
+    });
+    this.updateScores();
+  }
+
+  /**
+   * Get a player state by ID
+   * @param {string|number} playerId - Player ID
+   * @returns {Object|undefined} Player state
+   */
+  getPlayer(playerId) {
+    return this.players.find(player => player.id === playerId);
+  }
+
+  /**
+   * Reset a player's stats and put them back on their starting cell
+   * @param {Object} player - Player state
+   */
+  resetPlayer(player) {
+    Object.assign(player, {
+      position: player.startPosition,
+      score: 0,
+      moveCount: 0,
+      power: 0,
+      powerCounter: 0,
+      saves: 0,
+      stolen: 0,
+      penalties: 0,
+      powerUps: [],
+      frozenUntil: 0
+    });
+  }
+
+  /**
+   * Start the game at the first target
+   */
+  start() {
+    this.running = true;
+    this.setTargetIndex(0);
+  }
+
+  /**
+   * Stop the game and announce the final standings
+   */
+  finish() {
+    this.running = false;
+    this.emit('gameover', { players: this.players });
+  }
+
+  /**
+   * Whether the last target has been passed or, with majorityWins, a player
+   * owns more than half of the targets and can no longer be caught
+   * @returns {boolean} True if the game is over
+   */
+  isOver() {
+    if (this.targetIndex >= this.targets.length) return true;
+    return this.majorityWins && this.players.some(player => player.score > this.targets.length / 2);
+  }
+
+  /**
+   * Move to a target by its place in the sequence (past the end, the current
+   * target becomes null and no target event is sent)
+   * @param {number} index - Index in targets
+   */
+  setTargetIndex(index) {
+    this.targetIndex = index;
+    this.currentTarget = this.targets[index] ?? null;
+    if (this.currentTarget !== null) {
+      this.emit('target', { target: this.currentTarget });
+    }
+  }
+
+  /**
+   * Set the current target
+   * @param {number|null} target - New target value (null for past the last one)
+   */
+  setTarget(target) {
+    const index = this.targets.indexOf(target);
+    this.setTargetIndex(index === -1 ? this.targets.length : index);
+  }
+
+  /**
+   * Move on to the next target in the sequence
+   */
+  nextTarget() {
+    this.setTargetIndex(this.targetIndex + 1);
+  }
+
+  /**
+   * Get the number shown at a position
+   * @param {number} position - Position (1-based)
+   * @returns {number} The number
+   */
+  getNumberAt(position) {
+    return this.numbers[position - 1];
+  }
+
+  /**
+   * Get the position of a number on the board
+   * @param {number} number - The number
+   * @returns {number} Position (1-based), or 0 if not on the board
+   */
+  getPositionOf(number) {
+    return this.numbers.indexOf(number) + 1;
+  }
+
+  /**
+   * Check that a position is on the board
+   * @param {number} position - Position (1-based)
+   * @returns {boolean} True if valid
+   */
+  isValidPosition(position) {
+    return Number.isInteger(position) && position >= 1 && position <= this.totalCells;
+  }
+
+  /**
+   * Get the position reached by stepping in a direction
+   * @param {number} position - Current position (1-based)
+   * @param {string} direction - One of DIRECTIONS
+   * @returns {number} New position (1-based)
+   */
+  getNeighbour(position, direction) {
+    const [rowStep, colStep] = DIRECTION_STEPS[direction] || [0, 0];
+    let row = Math.floor((position - 1) / this.cols) + rowStep;
+    let col = ((position - 1) % this.cols) + colStep;
+
+    if (this.edges === 'clamp') {
+      row = Math.min(Math.max(row, 0), this.rows - 1);
+      col = Math.min(Math.max(col, 0), this.cols - 1);
+    } else {
+      // Leaving one side comes back in on the opposite side of the same row/column
+      row = (row + this.rows) % this.rows;
+      col = (col + this.cols) % this.cols;
+    }
+
+    return row * this.cols + col + 1;
+  }
+
+  /**
+   * Move a player one step
+   * @param {string|number} playerId - Player ID
+   * @param {string} direction - One of DIRECTIONS
+   * @returns {number|null} New position, or null if the move was ignored
+   */
+  move(playerId, direction) {
+    const player = this.getPlayer(playerId);
+    if (!this.running || !player || !DIRECTIONS.includes(direction)) {
+      return null;
+    }
+
+    if (this.isFrozen(player)) return null;
+
+    const next = this.getNeighbour(player.position, direction);
+
+    // Bumping into an edge in clamp mode is not a move
+    if (next === player.position) return null;
+
+    return this.moveTo(playerId, next);
+  }
+
+  /**
+   * Move a player straight to a position, counting it as a move
+   * @param {string|number} playerId - Player ID
+   * @param {number} position - New position (1-based)
+   * @returns {number|null} New position, or null if the move was ignored
+   */
+  moveTo(playerId, position) {
+    const player = this.getPlayer(playerId);
+    if (!this.running || !player || !this.isValidPosition(position) || this.isFrozen(player)) {
+      return null;
+    }
+
+    player.moveCount++;
+    this.setPosition(playerId, position);
+    return position;
+  }
+
+  /**
+   * Place a player on a position without counting a move (e.g. server sync)
+   * @param {string|number} playerId - Player ID
+   * @param {number} position - New position (1-based)
+   */
+  setPosition(playerId, position) {
+    const player = this.getPlayer(playerId);
+    if (!player || !this.isValidPosition(position)) return;
+
+    const from = player.position;
+    player.position = position;
+    this.emit('move', { player, from, to: position });
+  }
+
+  /**
+   * Confirm the number under a player
+   * @param {string|number} playerId - Player ID
+   * @param {number} position - Position to confirm (defaults to the player's position)
+   * @returns {Object|null} Result { type, position, ... } or null if nothing happened
+   */
+  confirm(playerId, position = null) {
+    const player = this.getPlayer(playerId);
+    if (!this.running || !player) return null;
+
+    if (position !== null && position !== player.position) {
+      this.setPosition(playerId, position);
+    }
+    position = player.position;
+
+    const cell = this.cells[position - 1];
+    if (!cell || this.isBlocked(position, player)) return null;
+
+    // Found the current target, or one that was skipped when its time ran out
+    const number = this.getNumberAt(position);
+    const skippedIndex = this.skippedTargets.indexOf(number);
+    if ((number === this.currentTarget || skippedIndex !== -1) && !cell.foundBy) {
+      const target = number;
+      this.setCell(position, { foundBy: player.id, stolenBy: null });
+      this.finders.push(player.id);
+      this.emit('found', { player, position, target });
+
+      if (skippedIndex !== -1) {
+        this.skippedTargets.splice(skippedIndex, 1);
+      } else {
+        this.nextTarget();
+      }
+      const steals = this.incrementPower(player) || [];
+      this.updateScores();
+
+      if (this.isOver()) {
+        this.finish();
+      }
+
+      return {
+        type: 'found',
+        position,
+        target,
+        steals,
+        stolenPosition: steals[0]?.position ?? null,
+        victimId: steals[0]?.victimId ?? null
+      };
+    }
+
+    // Recover a cell this player stole
+    if (cell.stolenBy === player.id) {
+      this.setCell(position, { foundBy: player.id, stolenBy: null });
+      player.stolen++;
+      player.powerCounter = 0;
+      this.emit('recover', { player, position });
+      this.updateScores();
+      if (this.isOver()) this.finish();
+      return { type: 'recovered', position };
+    }
+
+    // Save a cell an opponent stole
+    if (cell.stolenBy) {
+      const victim = this.getPlayer(cell.stolenBy);
+      this.setCell(position, { foundBy: player.id, stolenBy: null });
+      player.saves++;
+      player.powerCounter = 0;
+      this.emit('save', { player, victim, position });
+      this.updateScores();
+      if (this.isOver()) this.finish();
+      return { type: 'saved', position, victimId: victim?.id ?? null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Give up on the current target because its time ran out
+   * @param {string} outcome - One of TIMEOUT_OUTCOMES:
+   *   'skip' moves on but the number can still be found later,
+   *   'unclaimed' moves on and the number is lost to everyone,
+   *   'penalty' moves on and costs every player a point
+   * @returns {Object|null} Result { type, target, position, outcome } or null if not running
+   */
+  expireTarget(outcome) {
+    if (!this.running) return null;
+
+    const target = this.currentTarget;
+    const position = this.getPositionOf(target);
+
+    if (outcome === 'skip') {
+      this.skippedTargets.push(target);
+    } else if (outcome === 'penalty') {
+      this.players.forEach(player => player.penalties++);
+      this.updateScores();
+    }
+
+    this.emit('expire', { target, position, outcome });
+    this.nextTarget();
+
+    if (this.isOver()) {
+      this.finish();
+    }
+
+    return { type: 'expired', target, position, outcome };
+  }
+
+  /**
+   * Increment power counter and, at the end of a streak, earn a power: a
+   * steal happens at once, any other power is kept for the power key
+   * @param {Object} player - Player state
+   * @returns {Array|null} The steals [{ position, victimId }], if any
+   */
+  incrementPower(player) {
+    if (!this.powers) return null;
+
+    this.players.forEach(other => {
+      if (other !== player) other.powerCounter = 0;
+    });
+    player.powerCounter += 1;
+
+    if (player.powerCounter !== this.powerRules.streak) return null;
+    if (this.powerRules.reset) player.powerCounter = 0;
+
+    player.power++;
+
+    const powerUp = this.powerRules.powerUp === 'mixed'
+      ? POWER_UPS[Math.floor(this.random() * POWER_UPS.length)]
+      : this.powerRules.powerUp;
+    if (powerUp !== 'steal') {
+      player.powerUps.push(powerUp);
+      this.emit('powerup', { player, powerUp });
+      return null;
+    }
+
+    return this.steal(player);
+  }
+
+  /**
+   * Take up to stealCount cells from opponents; the cells stay stolen until
+   * the thief recovers them or another player saves them
+   * @param {Object} player - Player state of the thief
+   * @returns {Array} The steals [{ position, victimId }] (empty if nobody has cells)
+   */
+  steal(player) {
+    const victim = this.chooseVictim(player);
+    const steals = [];
+
+    for (let i = 0; i < this.powerRules.stealCount; i++) {
+      const candidates = [];
+      this.cells.forEach((cell, j) => {
+        const owner = cell.foundBy;
+        if (owner !== null && owner !== player.id && (!victim || owner === victim.id)) {
+          candidates.push(j + 1);
+        }
+      });
+      if (candidates.length === 0) break;
+
+      const position = candidates[Math.floor(this.random() * candidates.length)];
+      const victimId = this.cells[position - 1].foundBy;
+      this.setCell(position, { foundBy: null, stolenBy: player.id });
+      this.emit('steal', { player, victim: this.getPlayer(victimId), position });
+      steals.push({ position, victimId });
+    }
+
+    return steals;
+  }
+
+  /**
+   * Use the oldest power a player is keeping
+   * @param {string|number} playerId - Player ID
+   * @param {number} now - Current time in ms (defaults to Date.now())
+   * @returns {Object|null} Result { type: 'power', powerUp, ... } or null if there was none to use
+   */
+  usePower(playerId, now = Date.now()) {
+    const player = this.getPlayer(playerId);
+    if (!this.running || !player || player.powerUps.length === 0) return null;
+
+    const powerUp = player.powerUps.shift();
+    const seconds = this.powerRules.seconds;
+
+    if (powerUp === 'freeze') {
+      const victim = this.chooseOpponent(player);
+      if (victim) {
+        victim.frozenUntil = now + seconds * 1000;
+        this.emit('freeze', { player, victim, seconds });
+      }
+      return { type: 'power', powerUp, victimId: victim?.id ?? null };
+    }
+
+    if (powerUp === 'shuffle') {
+      const positions = this.shuffleFreeCells();
+      this.emit('shuffle', { player, positions, numbers: this.numbers });
+      return { type: 'power', powerUp, positions };
+    }
+
+    const position = this.getPositionOf(this.currentTarget);
+
+    if (powerUp === 'reveal') {
+      const row = Math.floor((position - 1) / this.cols);
+      const positions = Array.from({ length: this.cols }, (_, i) => row * this.cols + i + 1);
+      this.emit('reveal', { player, positions, seconds });
+      return { type: 'power', powerUp, positions };
+    }
+
+    if (powerUp === 'block') {
+      this.blocked.set(position, { playerId: player.id, until: now + seconds * 1000 });
+      this.emit('block', { player, position, seconds });
+      return { type: 'power', powerUp, position };
+    }
+
+    // A steal kept from an older rule set
+    const steals = this.steal(player);
+    this.updateScores();
+    return { type: 'power', powerUp, steals };
+  }
+
+  /**
+   * Deal the numbers of the cells still in play again, in a (seeded) random
+   * order: owned cells and targets already passed (skipped or unclaimed) stay put
+   * @returns {Array} Positions (1-based) that were dealt again
+   */
+  shuffleFreeCells() {
+    const passed = new Set(this.targets.slice(0, this.targetIndex));
+    const positions = [];
+    this.cells.forEach((cell, i) => {
+      if (cell.foundBy === null && cell.stolenBy === null && !passed.has(this.numbers[i])) positions.push(i + 1);
+    });
+
+    const numbers = positions.map(position => this.numbers[position - 1]);
+    for (let i = numbers.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+    }
+
+    // Blocks stay with the number, not the cell
+    const blocks = [...this.blocked].map(([position, block]) => [this.numbers[position - 1], block]);
+    positions.forEach((position, i) => {
+      this.numbers[position - 1] = numbers[i];
+    });
+    this.blocked = new Map(blocks.map(([number, block]) => [this.getPositionOf(number), block]));
+
+    return positions;
+  }
+
+  /**
+   * Whether a freeze is holding a player still
+   * @param {Object} player - Player state
+   * @param {number} now - Current time in ms (defaults to Date.now())
+   * @returns {boolean} True if frozen
+   */
+  isFrozen(player, now = Date.now()) {
+    return player.frozenUntil > now;
+  }
+
+  /**
+   * Whether an opponent's block keeps a player from confirming a cell
+   * @param {number} position - Position (1-based)
+   * @param {Object} player - Player state
+   * @param {number} now - Current time in ms (defaults to Date.now())
+   * @returns {boolean} True if blocked
+   */
+  isBlocked(position, player, now = Date.now()) {
+    const block = this.blocked.get(position);
+    return !!block && block.playerId !== player.id && block.until > now;
+  }
+
+  /**
+   * Pick the opponent a freeze hits: the victim rule's choice, or any opponent
+   * @param {Object} player - Player state of the one using the power
+   * @returns {Object|null} Opponent's player state, or null if playing alone
+   */
+  chooseOpponent(player) {
+    const victim = this.chooseVictim(player);
+    if (victim) return victim;
+
+    const opponents = this.players.filter(other => other !== player);
+    return opponents.length > 0 ? opponents[Math.floor(this.random() * opponents.length)] : null;
+  }
+
+  /**
+   * Pick the opponent a power steals from, by the victim rule
+   * @param {Object} player - Player state of the thief
+   * @returns {Object|null} Victim's player state, or null to take any
+   *   opponent's cell (the 'random' rule, or nobody has cells to take)
+   */
+  chooseVictim(player) {
+    const opponents = this.players.filter(other => other !== player && this.getFoundBy(other.id).length > 0);
+    if (opponents.length === 0 || this.victimRule === 'random') return null;
+
+    if (this.victimRule === 'lastFinder') {
+      const id = [...this.finders].reverse().find(finder => opponents.some(other => other.id === finder));
+      return this.getPlayer(id) || null;
+    }
+
+    // 'leader': ties for the lead are broken at random
+    const best = Math.max(...opponents.map(other => other.score));
+    const leaders = opponents.filter(other => other.score === best);
+    return leaders.length === 1 ? leaders[0] : leaders[Math.floor(this.random() * leaders.length)];
+  }
+
+  /**
+   * Mark a cell as found by a player without applying rules (e.g. server sync)
+   * @param {number} position - Position (1-based)
+   * @param {string|number} playerId - Player ID
+   */
+  claimCell(position, playerId) {
+    this.setCell(position, { foundBy: playerId, stolenBy: null });
+    this.updateScores();
+  }
+
+  /**
+   * Change the ownership of a cell
+   * @param {number} position - Position (1-based)
+   * @param {Object} ownership - { foundBy, stolenBy } player IDs or null
+   */
+  setCell(position, ownership) {
+    const cell = this.cells[position - 1];
+    if (!cell) return;
+
+    cell.foundBy = ownership.foundBy ?? null;
+    cell.stolenBy = ownership.stolenBy ?? null;
+
+    this.emit('cell', {
+      position,
+      foundBy: cell.foundBy !== null ? this.getPlayer(cell.foundBy) || null : null,
+      stolenBy: cell.stolenBy !== null ? this.getPlayer(cell.stolenBy) || null : null
+    });
+  }
+
+  /**
+   * Get the positions of the cells a player has found
+   * @param {string|number} playerId - Player ID
+   * @returns {Array} Positions (1-based)
+   */
+  getFoundBy(playerId) {
+    const positions = [];
+    this.cells.forEach((cell, i) => {
+      if (cell.foundBy === playerId) positions.push(i + 1);
+    });
+    return positions;
+  }
+
+  /**
+   * Recount every player's score from the cells they own, minus timeout penalties
+   */
+  updateScores() {
+    this.players.forEach(player => {
+      player.score = this.getFoundBy(player.id).length - (player.penalties || 0);
+    });
+    this.emit('score', { players: this.players });
+  }
+
+  /**
+   * Serialize the board state (for sending over the network)
+   * @returns {Object} { rows, cols, edges, seed, board, targets, cells, currentTarget }
+   */
+  getState() {
+    return {
+      rows: this.rows,
+      cols: this.cols,
+      edges: this.edges,
+      seed: this.seed,
+      board: this.numbers,
+      targets: this.targets,
+      cells: this.cells.map(cell => ({ ...cell })),
+      currentTarget: this.currentTarget
+    };
+  }
+
+  /**
+   * Bring the board in line with a serialized state, emitting only what changed
+   * @param {Object} state - State from getState()
+   */
+  applyState(state) {
+    if (state.cells) {
+      state.cells.forEach((cell, i) => {
+        const current = this.cells[i];
+        if (current && (current.foundBy !== cell.foundBy || current.stolenBy !== cell.stolenBy)) {
+          this.setCell(i + 1, cell);
+        }
+      });
+      this.updateScores();
+    }
+
+    if (state.currentTarget !== undefined && state.currentTarget !== this.currentTarget) {
+      this.setTarget(state.currentTarget);
+    }
+  }
+}
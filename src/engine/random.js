@@ -0,0 +1,51 @@
+/**
+ * Seedable random number helpers, so boards can be reproduced and shared
+ */
+
+/**
+ * Hash a seed string into a 32-bit integer (FNV-1a)
+ * @param {string} seed - Seed text
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number source (mulberry32)
+ * @param {string|number} seed - Seed text or number
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Make up a short seed that is easy to read out and type
+ * @returns {string} Seed of 6 lowercase letters and digits
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+/**
+ * Seed shared by everyone playing the Daily Challenge on a given (UTC) day
+ * @param {Date} date - The day (defaults to today)
+ * @returns {string} Seed such as "daily-2024-05-01"
+ */
+export function dailySeed(date = new Date()) {
+  return `daily-${date.toISOString().slice(0, 10)}`;
+}
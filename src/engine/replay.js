@@ -0,0 +1,313 @@
+import { EventEmitter } from './event-emitter.js';
+import { GameEngine } from './game-engine.js';
+
+/**
+ * Format of the replays written by ReplayRecorder
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Time (ms) between playback steps
+ */
+const TICK_INTERVAL = 50;
+
+/**
+ * Records a game as the board it started from plus an ordered list of
+ * timed events, each { time, type, ... } with time in ms since the start:
+ *
+ * - `move`     { player, position }
+ * - `confirm`  { player, position, outcome }  (outcome: the confirm result type, or null for a miss)
+ * - `cell`     { position, foundBy, stolenBy }  (player IDs or null; covers finds, steals, recoveries and saves)
+ * - `target`   { target }
+ * - `expire`   { target, position, outcome }
+ * - `shuffle`  { numbers }
+ *
+ * Local games feed it from the engine's events (attach) and their confirms;
+ * online games rebuild the same events from the game_update stream (recordUpdate).
+ */
+export class ReplayRecorder {
+  /**
+   * Create a new recorder (idle until start)
+   */
+  constructor() {
+    this.replay = null;
+    this.startedAt = 0;
+    // Last cells and target seen in the game_update stream (see recordUpdate)
+    this.cells = [];
+    this.currentTarget = null;
+  }
+
+  /**
+   * Whether a game is being recorded
+   * @returns {boolean} True while recording
+   */
+  get recording() {
+    return this.replay !== null;
+  }
+
+  /**
+   * Record what an engine does while recording
+   * @param {GameEngine} engine - The game engine
+   */
+  attach(engine) {
+    engine.on('move', ({ player, to }) => this.record('move', { player: player.id, position: to }));
+    engine.on('cell', ({ position, foundBy, stolenBy }) => {
+      this.record('cell', { position, foundBy: foundBy?.id ?? null, stolenBy: stolenBy?.id ?? null });
+    });
+    engine.on('target', ({ target }) => this.record('target', { target }));
+    engine.on('expire', ({ target, position, outcome }) => this.record('expire', { target, position, outcome }));
+    engine.on('shuffle', ({ numbers }) => this.record('shuffle', { numbers: [...numbers] }));
+  }
+
+  /**
+   * Start recording from the current state of an engine
+   * @param {GameEngine} engine - Engine holding the board
+   * @param {Array} players - Players in the game (Player objects)
+   * @param {Object} content - What the cells hold: { type, language, customWords } (optional)
+   */
+  start(engine, players, content = null) {
+    this.startedAt = Date.now();
+    this.cells = engine.cells.map(cell => ({ ...cell }));
+    this.currentTarget = engine.currentTarget;
+    this.replay = {
+      version: REPLAY_VERSION,
+      rows: engine.rows,
+      cols: engine.cols,
+      edges: engine.edges,
+      seed: engine.seed,
+      numbers: [...engine.numbers],
+      targets: [...engine.targets],
+      cells: this.cells.map(cell => ({ ...cell })),
+      currentTarget: engine.currentTarget,
+      content,
+      players: players.map(player => ({
+        id: player.id,
+        index: player.index,
+        name: player.name,
+        position: player.positionIndex
+      })),
+      events: [],
+      duration: 0
+    };
+  }
+
+  /**
+   * Add an event, if recording
+   * @param {string} type - Event type
+   * @param {Object} data - Event fields
+   * @returns {Object|null} The recorded event, or null when not recording
+   */
+  record(type, data) {
+    if (!this.replay) return null;
+
+    const event = { time: Date.now() - this.startedAt, type, ...data };
+    this.replay.events.push(event);
+    return event;
+  }
+
+  /**
+   * Record an online game_update: the last move, then whatever changed in
+   * the cells and the target since the previous update
+   * @param {Object} room - Room data from the server
+   * @param {Object|null} lastMove - The move that caused the update
+   */
+  recordUpdate(room, lastMove) {
+    if (!this.replay) return;
+
+    if (lastMove?.type === 'move') {
+      this.record('move', { player: lastMove.playerId, position: lastMove.position });
+    } else if (lastMove?.type === 'confirm') {
+      this.record('confirm', { player: lastMove.playerId, position: lastMove.position, outcome: lastMove.outcome ?? null });
+    }
+
+    (room.gameState?.cells || []).forEach((cell, i) => {
+      const previous = this.cells[i];
+      if (previous && (previous.foundBy !== cell.foundBy || previous.stolenBy !== cell.stolenBy)) {
+        this.cells[i] = { foundBy: cell.foundBy, stolenBy: cell.stolenBy };
+        this.record('cell', { position: i + 1, ...this.cells[i] });
+      }
+    });
+
+    const target = room.gameState?.currentTarget;
+    if (target !== undefined && target !== this.currentTarget) {
+      this.currentTarget = target;
+      this.record('target', { target });
+    }
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The replay, or null if nothing was being recorded
+   */
+  stop() {
+    const replay = this.replay;
+    if (replay) {
+      replay.duration = Date.now() - this.startedAt;
+    }
+    this.replay = null;
+    return replay;
+  }
+}
+
+/**
+ * Plays a replay back on its own engine, which a Board can render. Emits:
+ *
+ * - `time`     { time, duration }  (after every step and seek)
+ * - `confirm`  { player, position, outcome }  (only while playing, not when seeking)
+ * - `state`    { playing }
+ */
+export class ReplayPlayer extends EventEmitter {
+  /**
+   * Create a new replay player
+   * @param {Object} replay - Replay from ReplayRecorder.stop()
+   */
+  constructor(replay) {
+    super();
+    this.replay = replay;
+    this.engine = new GameEngine({ rows: replay.rows, cols: replay.cols, edges: replay.edges, powers: false });
+    this.speed = 1;
+    this.time = 0;
+    // Index of the next event to apply
+    this.next = 0;
+    this.playing = false;
+    this.timer = null;
+    this.lastTick = 0;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Length of the replay
+   * @returns {number} Duration in ms
+   */
+  get duration() {
+    return this.replay.duration;
+  }
+
+  /**
+   * Put the board back as it was when recording started
+   */
+  load() {
+    const { replay, engine } = this;
+
+    engine.players = [];
+    replay.players.forEach(player => {
+      engine.addPlayer(GameEngine.createPlayerState({ id: player.id, index: player.index, position: player.position }));
+    });
+    engine.setup(replay.numbers, replay.seed, replay.targets);
+    engine.players.forEach(player => engine.setPosition(player.id, player.position));
+    engine.applyState({ cells: replay.cells });
+    engine.setTarget(replay.currentTarget);
+
+    this.time = 0;
+    this.next = 0;
+  }
+
+  /**
+   * Apply one recorded event to the engine
+   * @param {Object} event - The event
+   * @param {boolean} live - Whether it happens during playback (not a seek)
+   */
+  apply(event, live) {
+    const { engine } = this;
+
+    if (event.type === 'move') {
+      engine.setPosition(event.player, event.position);
+    } else if (event.type === 'cell') {
+      engine.setCell(event.position, { foundBy: event.foundBy, stolenBy: event.stolenBy });
+      engine.updateScores();
+    } else if (event.type === 'target') {
+      engine.setTarget(event.target);
+    } else if (event.type === 'expire') {
+      if (event.outcome === 'penalty') {
+        engine.players.forEach(player => player.penalties++);
+        engine.updateScores();
+      }
+      engine.emit('expire', { target: event.target, position: event.position, outcome: event.outcome });
+    } else if (event.type === 'shuffle') {
+      const positions = [];
+      event.numbers.forEach((number, i) => {
+        if (engine.numbers[i] !== number) positions.push(i + 1);
+      });
+      engine.numbers = [...event.numbers];
+      engine.emit('shuffle', { player: null, positions, numbers: engine.numbers });
+    } else if (event.type === 'confirm' && live) {
+      this.emit('confirm', { player: engine.getPlayer(event.player), position: event.position, outcome: event.outcome });
+    }
+  }
+
+  /**
+   * Apply every event up to a time
+   * @param {number} time - Time in ms
+   * @param {boolean} live - Whether this is playback (not a seek)
+   */
+  advance(time, live) {
+    const { events } = this.replay;
+    while (this.next < events.length && events[this.next].time <= time) {
+      this.apply(events[this.next], live);
+      this.next++;
+    }
+    this.time = Math.min(time, this.duration);
+    this.emit('time', { time: this.time, duration: this.duration });
+  }
+
+  /**
+   * Jump to a time; going back replays everything from the start
+   * @param {number} time - Time in ms
+   */
+  seek(time) {
+    const target = Math.max(0, Math.min(time, this.duration));
+    if (target < this.time) {
+      this.load();
+    }
+    this.advance(target, false);
+  }
+
+  /**
+   * Start or resume playback (from the start if the end was reached)
+   */
+  play() {
+    if (this.playing) return;
+    if (this.time >= this.duration) this.seek(0);
+
+    this.playing = true;
+    this.lastTick = Date.now();
+    this.timer = setTimeout(this.tick, TICK_INTERVAL);
+    this.emit('state', { playing: true });
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (!this.playing) return;
+
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.emit('state', { playing: false });
+  }
+
+  /**
+   * Change the playback speed
+   * @param {number} speed - 1 is real time, 2 twice as fast, ...
+   */
+  setSpeed(speed) {
+    this.speed = speed > 0 ? speed : 1;
+  }
+
+  /**
+   * Move playback on by the time since the last step
+   */
+  tick() {
+    const now = Date.now();
+    this.advance(this.time + (now - this.lastTick) * this.speed, true);
+    this.lastTick = now;
+
+    if (this.time >= this.duration) {
+      this.pause();
+    } else if (this.playing) {
+      this.timer = setTimeout(this.tick, TICK_INTERVAL);
+    }
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Target sequences: which numbers a board holds (the range) and which of
+ * them are found in what order (the sequence). Built-in ranges are picked by
+ * ID; anything else is read as a custom range spec such as "1-50, 101-150" or
+ * "-20..20" (see parseRangeSpec). Sequences are picked by ID, with a number
+ * after a colon for the ones that take one ("multiples:3").
+ */
+
+/**
+ * Range used when none (or an unreadable one) is given
+ */
+export const DEFAULT_RANGE = 'standard';
+
+/**
+ * Sequence used when none (or an unknown one) is given
+ */
+export const DEFAULT_SEQUENCE = 'ascending';
+
+/**
+ * Numbers over this many in a custom spec are not expanded
+ */
+const MAX_SPEC_SIZE = 10000;
+
+/**
+ * Consecutive integers from start
+ * @param {number} start - First number
+ * @param {number} count - How many
+ * @returns {Array} [start, start + 1, ...]
+ */
+function consecutive(start, count) {
+  return Array.from({ length: count }, (_, i) => start + i);
+}
+
+/**
+ * Pick distinct numbers in a range, in ascending order
+ * @param {number} min - Smallest allowed number
+ * @param {number} max - Largest allowed number
+ * @param {number} count - How many to pick
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {Array} Sorted numbers
+ */
+function sample(min, max, count, random) {
+  const picked = new Set();
+  while (picked.size < Math.min(count, max - min + 1)) {
+    picked.add(Math.floor(random() * (max - min + 1)) + min);
+  }
+  return [...picked].sort((a, b) => a - b);
+}
+
+/**
+ * Built-in ranges; build(count, random) returns the numbers for a board of count cells
+ */
+export const NUMBER_RANGES = {
+  // 1, 2, 3, ... up to the number of cells
+  standard: { build: count => consecutive(1, count) },
+  // 101, 102, ... (101-200 on a 10x10 board)
+  hundreds: { build: count => consecutive(101, count) },
+  // Random four-digit numbers, found from smallest to largest
+  thousands: { build: (count, random) => sample(1000, 9999, count, random) },
+  // Centred on zero: -50 to 49 on a 10x10 board
+  negatives: { build: count => consecutive(-Math.floor(count / 2), count) }
+};
+
+/**
+ * Read a custom range spec: comma-separated numbers and ranges, where a range
+ * is "a-b", "a..b" or "a to b" (negatives allowed, e.g. "-10--1")
+ * @param {string} spec - The spec
+ * @returns {Array|null} Sorted distinct numbers, or null if the spec is not valid
+ */
+export function parseRangeSpec(spec) {
+  const numbers = new Set();
+  const parts = String(spec).split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  for (const part of parts) {
+    const single = part.match(/^(-?\d+)$/);
+    const range = part.match(/^(-?\d+)\s*(?:\.\.|-|–|to)\s*(-?\d+)$/);
+
+    if (single) {
+      numbers.add(parseInt(single[1], 10));
+    } else if (range) {
+      const from = parseInt(range[1], 10);
+      const to = parseInt(range[2], 10);
+      const [low, high] = from <= to ? [from, to] : [to, from];
+      if (high - low + numbers.size >= MAX_SPEC_SIZE) return null;
+      for (let n = low; n <= high; n++) numbers.add(n);
+    } else {
+      return null;
+    }
+  }
+
+  return [...numbers].sort((a, b) => a - b);
+}
+
+/**
+ * Build the numbers of a range for a board
+ * @param {string} range - A NUMBER_RANGES ID or a custom spec
+ * @param {number} count - Number of cells on the board
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {Array} Sorted numbers (at most count)
+ */
+export function buildNumbers(range, count, random) {
+  if (NUMBER_RANGES[range]) {
+    return NUMBER_RANGES[range].build(count, random);
+  }
+
+  const numbers = parseRangeSpec(range);
+  if (!numbers) {
+    return NUMBER_RANGES[DEFAULT_RANGE].build(count, random);
+  }
+
+  // Too many for the board: play a random selection of them
+  if (numbers.length > count) {
+    const picked = new Set();
+    while (picked.size < count) {
+      picked.add(numbers[Math.floor(random() * numbers.length)]);
+    }
+    return [...picked].sort((a, b) => a - b);
+  }
+
+  return numbers;
+}
+
+/**
+ * Check whether a number is prime
+ * @param {number} n - The number
+ * @returns {boolean} True if prime
+ */
+function isPrime(n) {
+  if (n < 2) return false;
+  for (let d = 2; d * d <= n; d++) {
+    if (n % d === 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether a number is in the Fibonacci sequence (1, 2, 3, 5, 8, ...)
+ * @param {number} n - The number
+ * @returns {boolean} True if a Fibonacci number
+ */
+function isFibonacci(n) {
+  let [a, b] = [1, 2];
+  while (a < n) {
+    [a, b] = [b, a + b];
+  }
+  return a === n;
+}
+
+/**
+ * Built-in sequences; order(numbers, random, param) returns the targets, in
+ * the order they are to be found, from the sorted numbers of the range
+ */
+export const SEQUENCES = {
+  // Smallest first: 1, 2, 3, ...
+  ascending: { order: numbers => numbers },
+  // Largest first: 100, 99, 98, ...
+  countdown: { order: numbers => [...numbers].reverse() },
+  odds: { order: numbers => numbers.filter(n => Math.abs(n % 2) === 1) },
+  evens: { order: numbers => numbers.filter(n => n % 2 === 0) },
+  // Multiples of the number after the colon: "multiples:3" is 3, 6, 9, ...
+  multiples: { order: (numbers, random, step) => numbers.filter(n => n % step === 0), param: 3 },
+  primes: { order: numbers => numbers.filter(isPrime) },
+  fibonacci: { order: numbers => numbers.filter(isFibonacci) },
+  // Every number, in a (seeded) random order
+  random: {
+    order: (numbers, random) => {
+      const order = [...numbers];
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      return order;
+    }
+  }
+};
+
+/**
+ * Put the numbers of a board in the order of a sequence
+ * @param {Array} numbers - Sorted numbers of the range
+ * @param {string} sequence - A SEQUENCES ID, optionally with a number ("multiples:3")
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {Array} Targets in the order they are to be found (all numbers,
+ *   smallest first, when the sequence picks none of them)
+ */
+export function orderTargets(numbers, sequence, random) {
+  const [id, value] = String(sequence).split(':');
+  const rule = SEQUENCES[id] || SEQUENCES[DEFAULT_SEQUENCE];
+  const param = parseInt(value, 10);
+
+  const targets = rule.order(numbers, random, param >= 2 ? param : rule.param);
+  return targets.length > 0 ? targets : numbers;
+}
+
+/**
+ * Pick numbers to fill the cells the range leaves empty: free numbers
+ * between the smallest and largest first, then just past the largest
+ * @param {Array} values - Numbers of the range
+ * @param {number} needed - How many decoys to pick
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {Array} Decoy numbers (none of them in values)
+ */
+export function pickDecoys(values, needed, random) {
+  if (needed <= 0) return [];
+
+  const taken = new Set(values);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const free = max - min + 1 - taken.size;
+  const decoys = new Set();
+
+  if (free >= needed) {
+    while (decoys.size < needed) {
+      const n = Math.floor(random() * (max - min + 1)) + min;
+      if (!taken.has(n)) decoys.add(n);
+    }
+    return [...decoys];
+  }
+
+  for (let n = min; n <= max; n++) {
+    if (!taken.has(n)) decoys.add(n);
+  }
+  for (let n = max + 1; decoys.size < needed; n++) {
+    decoys.add(n);
+  }
+  return [...decoys];
+}
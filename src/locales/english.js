@@ -0,0 +1,300 @@
+/**
+ * English locale pack
+ */
+
+const ONES = [
+  'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve',
+  'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+// Largest first (short scale)
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+
+/**
+ * Words for 1-999
+ * @param {number} num - Number to translate
+ * @returns {string} Words
+ */
+function belowThousand(num) {
+  const hundreds = Math.floor(num / 100);
+  const rest = num % 100;
+  const words = hundreds > 0 ? [`${ONES[hundreds - 1]} hundred`] : [];
+
+  if (rest > 0 && rest < 20) {
+    words.push(ONES[rest - 1]);
+  } else if (rest >= 20) {
+    const tens = TENS[Math.floor(rest / 10) - 2];
+    words.push(rest % 10 === 0 ? tens : `${tens} ${ONES[(rest % 10) - 1]}`);
+  }
+  return words.join(' ');
+}
+
+export default {
+  id: 'english',
+  name: 'English',
+  lang: 'en-US',
+  prompt: 'Find:',
+
+  /**
+   * Translate a number to English words, e.g. 'one thousand two hundred five'
+   * @param {number} num - Number to translate (any safe integer)
+   * @returns {string|null} Words, or null if not an integer
+   */
+  numberToWords(num) {
+    if (!Number.isSafeInteger(num)) return null;
+    if (num === 0) return 'zero';
+    if (num < 0) return `minus ${this.numberToWords(-num)}`;
+
+    const words = [];
+    let rest = num;
+    SCALES.forEach(([value, name]) => {
+      const count = Math.floor(rest / value);
+      if (count > 0) {
+        words.push(`${belowThousand(count)} ${name}`);
+        rest %= value;
+      }
+    });
+    if (rest > 0) words.push(belowThousand(rest));
+    return words.join(' ');
+  },
+
+  // Words for word boards
+  words: [
+    'cat', 'dog', 'sun', 'hat', 'map', 'pen', 'cup', 'bed', 'bus', 'egg',
+    'fish', 'milk', 'book', 'tree', 'ball', 'star', 'moon', 'hand', 'door', 'rain',
+    'frog', 'duck', 'cake', 'kite', 'ship', 'road', 'home', 'farm', 'bird', 'boat'
+  ],
+
+  // Names of the pictures in board-content.js
+  pictures: {
+    dog: 'dog', cat: 'cat', cow: 'cow', goat: 'goat', chicken: 'chicken', fish: 'fish',
+    bird: 'bird', lion: 'lion', elephant: 'elephant', banana: 'banana', apple: 'apple',
+    milk: 'milk', bread: 'bread', sun: 'sun', moon: 'moon', star: 'star', tree: 'tree',
+    flower: 'flower', house: 'house', car: 'car', ball: 'ball', book: 'book', hand: 'hand',
+    eye: 'eye', water: 'water'
+  },
+
+  strings: {
+    // Intro page
+    time: 'Time:',
+    timeout: 'Time out:',
+    language: 'Language:',
+    board: 'Board:',
+    edges: 'Edges:',
+    touch: 'Touch:',
+    reader: 'Reader:',
+    on: 'On',
+    off: 'Off',
+    play: 'Play',
+    dailyChallenge: 'Daily Challenge',
+    playMultiplayer: 'Play Multiplayer',
+    numbers: 'numbers',
+    noLimit: 'none',
+    skip: 'Skip',
+    unclaimed: 'Unclaimed',
+    penalty: 'Penalty',
+    wrap: 'Wrap',
+    clamp: 'Stop',
+    touchTap: 'Tap a cell',
+    touchSwipe: 'Swipe + tap',
+    content: 'Cells:',
+    contentNumbers: 'Numbers',
+    contentLetters: 'Letters (A → Z)',
+    contentSyllables: 'Syllables (ba, be, bi...)',
+    contentCompoundSyllables: 'Syllables (nda, mba, nya...)',
+    contentWords: 'Words',
+    contentPictures: 'Pictures',
+    customWordsPlaceholder: 'Own words: cat, dog, sun',
+    customWordsHelp: 'Words separated by commas (leave empty for the built-in list)',
+    numberRange: 'Numbers:',
+    rangeStandard: '1, 2, 3, ...',
+    rangeHundreds: '101, 102, 103, ...',
+    rangeThousands: 'Thousands',
+    rangeNegatives: 'Negatives',
+    rangeCustom: 'Custom...',
+    customRangeHelp: 'Numbers and ranges separated by commas, e.g. 1-50, 101-150 or -20..20',
+    sequence: 'Order:',
+    seqAscending: 'Counting up',
+    seqCountdown: 'Countdown',
+    seqOdds: 'Odd numbers',
+    seqEvens: 'Even numbers',
+    seqMultiples: 'Multiples of...',
+    seqPrimes: 'Primes',
+    seqFibonacci: 'Fibonacci',
+    seqRandom: 'Random order',
+    multipleOf: 'Multiples of',
+    targetMode: 'Targets:',
+    targetWords: 'Words',
+    mathAddition: 'Sums (7 + 5)',
+    mathTimes: 'Times tables (3 × 4)',
+    mathMixed: 'Mixed (+ − × ÷ √)',
+    powerUp: 'Power-up:',
+    powerSteal: 'Steal',
+    powerFreeze: 'Freeze',
+    powerShuffle: 'Shuffle',
+    powerReveal: 'Reveal row',
+    powerBlock: 'Block',
+    powerMixed: 'Mixed',
+    stealCount: 'Cells taken by a steal',
+    powerStreak: 'Streak:',
+    powerOnce: 'Once',
+    powerRepeat: 'Again',
+    powerResetHelp: 'Once: one power per streak. Again: keep the streak going to earn more',
+
+    // Reading aloud and voice control (command words are |-separated alternatives)
+    voice: 'Voice:',
+    voiceAuto: 'Automatic',
+    sayTarget: 'find {word}',
+    sayPlus: 'plus',
+    sayMinus: 'minus',
+    sayTimes: 'times',
+    sayDivided: 'divided by',
+    sayRoot: 'the square root of',
+    voiceCommands: 'Voice control:',
+    voiceUnsupported: 'Speech recognition is not supported in this browser',
+    voiceUp: 'up',
+    voiceRight: 'right',
+    voiceDown: 'down',
+    voiceLeft: 'left',
+    voiceConfirm: 'select|confirm|okay|ok',
+
+    // Names screen
+    option: 'Option',
+    player1: 'Player 1',
+    player2: 'Player 2',
+    player3: 'Player 3',
+    player4: 'Player 4',
+    ready: 'Ready',
+    notReady: 'Not Ready',
+    human: 'Human',
+    cpuEasy: 'CPU (Easy)',
+    cpuMedium: 'CPU (Medium)',
+    cpuHard: 'CPU (Hard)',
+
+    // Options screen
+    options: 'Options',
+    back: 'Back',
+    resetDefaults: 'Reset to defaults',
+    moveUp: 'To move up',
+    moveRight: 'To move right',
+    moveDown: 'To move down',
+    moveLeft: 'To move left',
+    confirmKey: 'To confirm',
+    powerKey: 'To use a power',
+    gamepad: 'Gamepad',
+    gamepadNone: 'None',
+    pad: 'Pad {index}',
+    padDisconnected: 'Pad {index} (not connected)',
+
+    // Game over
+    gameOver: 'Game Over',
+    move: 'Move',
+    power: 'Power',
+    saves: 'Saves',
+    stolen: 'Stolen',
+    score: 'Score',
+    seed: 'Seed:',
+    playAgain: 'Play Again',
+    winnerIs: 'Winner is',
+    tie: 'Tie: {names}',
+    done: 'Done',
+    go: 'Go!',
+
+    // Multiplayer: connection
+    connecting: 'Connecting...',
+    connectingToServer: 'Connecting to server...',
+    connected: 'Connected',
+    disconnected: 'Disconnected',
+    connectionError: 'Connection Error',
+    reconnecting: 'Reconnecting...',
+    reconnect: 'Reconnect',
+
+    // Multiplayer: menu and forms
+    joinOrCreate: 'Join or Create a Room',
+    createRoom: 'Create Room',
+    joinRoom: 'Join Room',
+    backToMenu: 'Back to Main Menu',
+    server: 'Server:',
+    connect: 'Connect',
+    touchTapLong: 'Tap a cell to jump and confirm',
+    touchSwipeLong: 'Swipe to move, tap to confirm',
+    createARoom: 'Create a Room',
+    joinARoom: 'Join a Room',
+    yourName: 'Your Name:',
+    maxPlayers: 'Maximum Players (2-10):',
+    playerCount: '{count} Players',
+    boardSize: 'Board Size:',
+    boardEdges: 'Board Edges:',
+    wrapAround: 'Wrap around',
+    stopAtEdge: 'Stop at edge',
+    controls: 'Controls',
+    controlUp: 'Up:',
+    controlRight: 'Right:',
+    controlDown: 'Down:',
+    controlLeft: 'Left:',
+    controlConfirm: 'Confirm:',
+    customizeControls: 'Customize Controls',
+    pressAKey: 'Press a key...',
+    cancel: 'Cancel',
+    roomCode: 'Room Code:',
+
+    // Multiplayer: waiting room and game
+    waitingForPlayers: 'Waiting for Players',
+    players: 'Players:',
+    copyRoomCode: 'Copy room code',
+    you: '(You)',
+    host: '(Host)',
+    waiting: 'Waiting',
+    leaveRoom: 'Leave Room',
+    resume: 'Resume',
+    exitGame: 'Exit Game',
+    returnToMenu: 'Return to Menu',
+
+    // Multiplayer: notifications
+    roomCodeCopied: 'Room code copied to clipboard',
+    roomCodeCopyFailed: 'Failed to copy room code',
+    notConnected: 'Not connected to server. Please try again.',
+    notConnectedRefresh: 'Not connected to server. Please refresh the page.',
+    disconnectedToast: 'Disconnected from server. Click the reconnect button to try again.',
+    connectionErrorToast: 'Error connecting to server. Click the reconnect button to try again.',
+    reconnectingToast: 'Attempting to reconnect to server...',
+    history: 'history',
+    historyEmpty: 'No games played yet',
+    exportJson: 'Export JSON',
+    exportCsv: 'Export CSV',
+    clearHistory: 'Clear',
+    clearHistoryConfirm: 'Forget every recorded game?',
+    modeLocal: 'Local',
+    modeOnline: 'Online',
+    foundAt: '{target}: {player} after {seconds} s',
+    watchReplay: 'Watch replay',
+    replayPause: 'Pause',
+    replaySpeed: 'Speed',
+    roomCreated: 'Room created with code: {code}',
+    roomJoined: 'Joined room: {code}',
+    playerJoined: 'A new player has joined the room',
+    playerLeft: 'A player has left the room',
+    youAreHost: 'You are now the host of this room',
+    newHost: 'The room has a new host',
+    victimRule: 'Steal from:',
+    victimRuleHelp: 'Whose cell a power takes when three or more play',
+    victimRandom: 'Anyone',
+    victimLeader: 'The leader',
+    victimLastFinder: 'The last to find',
+    stoleFrom: '{thief} stole a cell from {victim}!',
+    recoveredCell: '{player} kept a stolen cell',
+    savedCell: '{player} saved a cell from {thief}!',
+
+    // Multiplayer: server errors (by error code)
+    invalidMessage: 'Invalid message format',
+    serverError: 'Internal server error',
+    invalidName: 'Name must be between 3 and 20 characters',
+    roomNotFound: 'Room not found',
+    gameInProgress: 'Game already in progress',
+    roomFull: 'Room is full',
+    rejoinFailed: 'Could not rejoin the room',
+    playerNotFound: 'Room or player not found',
+    notAllowed: 'Not allowed to act for this player'
+  }
+};
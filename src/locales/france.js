@@ -0,0 +1,323 @@
+/**
+ * French locale pack
+ */
+
+const UNITS = [
+  'zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+  'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'
+];
+const TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante', 'soixante', 'quatre-vingt', 'quatre-vingt'];
+
+// Largest first; mille is invariable, the others take an s
+const SCALES = [[1e12, 'billion'], [1e9, 'milliard'], [1e6, 'million'], [1e3, 'mille']];
+
+/**
+ * Words for 1-99 (1990 spelling: every part joined with hyphens)
+ * @param {number} num - Number to translate
+ * @param {boolean} final - Whether nothing follows (quatre-vingts takes its s only then)
+ * @returns {string} Words
+ */
+function belowHundred(num, final) {
+  if (num < 20) return UNITS[num];
+
+  const tens = Math.floor(num / 10);
+  // 70-79 and 90-99 count on from soixante and quatre-vingt: soixante-douze
+  const rest = tens === 7 || tens === 9 ? num % 20 : num % 10;
+
+  if (rest === 0) return tens === 8 && final ? 'quatre-vingts' : TENS[tens];
+  if ((rest === 1 || rest === 11) && tens < 8) return `${TENS[tens]}-et-${UNITS[rest]}`;
+  return `${TENS[tens]}-${UNITS[rest]}`;
+}
+
+/**
+ * Words for 1-999
+ * @param {number} num - Number to translate
+ * @param {boolean} final - Whether nothing follows (deux-cents, but deux-cent-mille)
+ * @returns {string} Words
+ */
+function belowThousand(num, final) {
+  const hundreds = Math.floor(num / 100);
+  const rest = num % 100;
+  if (hundreds === 0) return belowHundred(rest, final);
+
+  const words = hundreds === 1 ? 'cent' : `${UNITS[hundreds]}-cent`;
+  if (rest === 0) return hundreds > 1 && final ? `${words}s` : words;
+  return `${words}-${belowHundred(rest, final)}`;
+}
+
+export default {
+  id: 'france',
+  name: 'French',
+  lang: 'fr-FR',
+  prompt: 'Chercher:',
+
+  /**
+   * Translate a number to French words, e.g. 'mille-deux-cent-cinq'
+   * @param {number} num - Number to translate (any safe integer)
+   * @returns {string|null} Words, or null if not an integer
+   */
+  numberToWords(num) {
+    if (!Number.isSafeInteger(num)) return null;
+    if (num === 0) return UNITS[0];
+    if (num < 0) return `moins ${this.numberToWords(-num)}`;
+
+    // Million, milliard and billion are nouns, written apart: un million, deux-cents millions
+    const nouns = [];
+    const words = [];
+    let rest = num;
+    SCALES.forEach(([value, name]) => {
+      const count = Math.floor(rest / value);
+      if (count === 0) return;
+      rest %= value;
+
+      if (name === 'mille') {
+        // mille, not un-mille; the count stays singular before it (deux-cent-mille)
+        words.push(count === 1 ? name : `${belowThousand(count, false)}-${name}`);
+      } else {
+        nouns.push(`${belowThousand(count, true)} ${name}${count > 1 ? 's' : ''}`);
+      }
+    });
+    if (rest > 0) words.push(belowThousand(rest, true));
+    if (words.length > 0) nouns.push(words.join('-'));
+    return nouns.join(' ');
+  },
+
+  // Words for word boards
+  words: [
+    'chat', 'chien', 'maman', 'papa', 'école', 'livre', 'table', 'porte', 'pain', 'lait',
+    'eau', 'sol', 'lune', 'ami', 'vélo', 'bébé', 'lapin', 'robe', 'pomme', 'main',
+    'nez', 'bus', 'rue', 'lit', 'jeu', 'fée', 'roi', 'mer', 'riz', 'feu'
+  ],
+
+  // Names of the pictures in board-content.js
+  pictures: {
+    dog: 'chien', cat: 'chat', cow: 'vache', goat: 'chèvre', chicken: 'poule', fish: 'poisson',
+    bird: 'oiseau', lion: 'lion', elephant: 'éléphant', banana: 'banane', apple: 'pomme',
+    milk: 'lait', bread: 'pain', sun: 'soleil', moon: 'lune', star: 'étoile', tree: 'arbre',
+    flower: 'fleur', house: 'maison', car: 'voiture', ball: 'ballon', book: 'livre', hand: 'main',
+    eye: 'œil', water: 'eau'
+  },
+
+  strings: {
+    // Intro page
+    time: 'Temps :',
+    timeout: 'Temps écoulé :',
+    language: 'Langue :',
+    board: 'Plateau :',
+    edges: 'Bords :',
+    touch: 'Tactile :',
+    reader: 'Lecteur :',
+    on: 'Oui',
+    off: 'Non',
+    play: 'Jouer',
+    dailyChallenge: 'Défi du jour',
+    playMultiplayer: 'Jouer en ligne',
+    numbers: 'nombres',
+    noLimit: 'aucun',
+    skip: 'Passer',
+    unclaimed: 'Non réclamé',
+    penalty: 'Pénalité',
+    wrap: 'Boucler',
+    clamp: 'Arrêter',
+    touchTap: 'Toucher une case',
+    touchSwipe: 'Glisser + toucher',
+    content: 'Cases :',
+    contentNumbers: 'Nombres',
+    contentLetters: 'Lettres (A → Z)',
+    contentSyllables: 'Syllabes (ba, be, bi...)',
+    contentCompoundSyllables: 'Syllabes (nda, mba, nya...)',
+    contentWords: 'Mots',
+    contentPictures: 'Images',
+    customWordsPlaceholder: 'Vos mots : chat, chien, sol',
+    customWordsHelp: 'Mots séparés par des virgules (vide pour la liste intégrée)',
+    numberRange: 'Nombres :',
+    rangeStandard: '1, 2, 3, ...',
+    rangeHundreds: '101, 102, 103, ...',
+    rangeThousands: 'Milliers',
+    rangeNegatives: 'Négatifs',
+    rangeCustom: 'Personnalisé...',
+    customRangeHelp: 'Nombres et intervalles séparés par des virgules, par ex. 1-50, 101-150 ou -20..20',
+    sequence: 'Ordre :',
+    seqAscending: 'Croissant',
+    seqCountdown: 'Compte à rebours',
+    seqOdds: 'Nombres impairs',
+    seqEvens: 'Nombres pairs',
+    seqMultiples: 'Multiples de...',
+    seqPrimes: 'Nombres premiers',
+    seqFibonacci: 'Fibonacci',
+    seqRandom: 'Ordre aléatoire',
+    multipleOf: 'Multiples de',
+    targetMode: 'Cibles :',
+    targetWords: 'Mots',
+    mathAddition: 'Additions (7 + 5)',
+    mathTimes: 'Tables de multiplication (3 × 4)',
+    mathMixed: 'Mélange (+ − × ÷ √)',
+    powerUp: 'Pouvoir :',
+    powerSteal: 'Vol',
+    powerFreeze: 'Gel',
+    powerShuffle: 'Mélange',
+    powerReveal: 'Révéler la ligne',
+    powerBlock: 'Blocage',
+    powerMixed: 'Au hasard',
+    stealCount: 'Cases prises par un vol',
+    powerStreak: 'Série :',
+    powerOnce: 'Une fois',
+    powerRepeat: 'À répétition',
+    powerResetHelp: 'Une fois : un pouvoir par série. À répétition : chaque nouvelle série en donne un autre',
+
+    // Reading aloud and voice control (command words are |-separated alternatives)
+    voice: 'Voix :',
+    voiceAuto: 'Automatique',
+    sayTarget: 'trouve {word}',
+    sayPlus: 'plus',
+    sayMinus: 'moins',
+    sayTimes: 'fois',
+    sayDivided: 'divisé par',
+    sayRoot: 'la racine carrée de',
+    voiceCommands: 'Commande vocale :',
+    voiceUnsupported: 'La reconnaissance vocale n’est pas prise en charge par ce navigateur',
+    voiceUp: 'haut|monte',
+    voiceRight: 'droite',
+    voiceDown: 'bas|descends',
+    voiceLeft: 'gauche',
+    voiceConfirm: 'valide|valider|choisis|ok',
+
+    // Names screen
+    option: 'Options',
+    player1: 'Joueur 1',
+    player2: 'Joueur 2',
+    player3: 'Joueur 3',
+    player4: 'Joueur 4',
+    ready: 'Prêt',
+    notReady: 'Pas prêt',
+    human: 'Humain',
+    cpuEasy: 'Ordinateur (facile)',
+    cpuMedium: 'Ordinateur (moyen)',
+    cpuHard: 'Ordinateur (difficile)',
+
+    // Options screen
+    options: 'Options',
+    back: 'Retour',
+    resetDefaults: 'Réinitialiser',
+    moveUp: 'Monter',
+    moveRight: 'Aller à droite',
+    moveDown: 'Descendre',
+    moveLeft: 'Aller à gauche',
+    confirmKey: 'Valider',
+    powerKey: 'Utiliser un pouvoir',
+    gamepad: 'Manette',
+    gamepadNone: 'Aucune',
+    pad: 'Manette {index}',
+    padDisconnected: 'Manette {index} (déconnectée)',
+
+    // Game over
+    gameOver: 'Partie terminée',
+    move: 'Déplacements',
+    power: 'Pouvoir',
+    saves: 'Sauvetages',
+    stolen: 'Volées',
+    score: 'Score',
+    seed: 'Graine :',
+    playAgain: 'Rejouer',
+    winnerIs: 'Le gagnant est',
+    tie: 'Égalité : {names}',
+    done: 'Terminé',
+    go: 'Partez !',
+
+    // Multiplayer: connection
+    connecting: 'Connexion...',
+    connectingToServer: 'Connexion au serveur...',
+    connected: 'Connecté',
+    disconnected: 'Déconnecté',
+    connectionError: 'Erreur de connexion',
+    reconnecting: 'Reconnexion...',
+    reconnect: 'Se reconnecter',
+
+    // Multiplayer: menu and forms
+    joinOrCreate: 'Rejoindre ou créer une salle',
+    createRoom: 'Créer une salle',
+    joinRoom: 'Rejoindre',
+    backToMenu: 'Retour au menu principal',
+    server: 'Serveur :',
+    connect: 'Se connecter',
+    touchTapLong: 'Toucher une case pour y aller et valider',
+    touchSwipeLong: 'Glisser pour bouger, toucher pour valider',
+    createARoom: 'Créer une salle',
+    joinARoom: 'Rejoindre une salle',
+    yourName: 'Votre nom :',
+    maxPlayers: 'Joueurs maximum (2-10) :',
+    playerCount: '{count} joueurs',
+    boardSize: 'Taille du plateau :',
+    boardEdges: 'Bords du plateau :',
+    wrapAround: 'Boucler',
+    stopAtEdge: 'Arrêter au bord',
+    controls: 'Commandes',
+    controlUp: 'Haut :',
+    controlRight: 'Droite :',
+    controlDown: 'Bas :',
+    controlLeft: 'Gauche :',
+    controlConfirm: 'Valider :',
+    customizeControls: 'Personnaliser les commandes',
+    pressAKey: 'Appuyez sur une touche...',
+    cancel: 'Annuler',
+    roomCode: 'Code de la salle :',
+
+    // Multiplayer: waiting room and game
+    waitingForPlayers: 'En attente des joueurs',
+    players: 'Joueurs :',
+    copyRoomCode: 'Copier le code de la salle',
+    you: '(Vous)',
+    host: '(Hôte)',
+    waiting: 'En attente',
+    leaveRoom: 'Quitter la salle',
+    resume: 'Reprendre',
+    exitGame: 'Quitter la partie',
+    returnToMenu: 'Retour au menu',
+
+    // Multiplayer: notifications
+    roomCodeCopied: 'Code de la salle copié',
+    roomCodeCopyFailed: 'Impossible de copier le code',
+    notConnected: 'Pas connecté au serveur. Réessayez.',
+    notConnectedRefresh: 'Pas connecté au serveur. Actualisez la page.',
+    disconnectedToast: 'Déconnecté du serveur. Cliquez sur « Se reconnecter » pour réessayer.',
+    connectionErrorToast: 'Erreur de connexion au serveur. Cliquez sur « Se reconnecter » pour réessayer.',
+    reconnectingToast: 'Tentative de reconnexion au serveur...',
+    history: 'historique',
+    historyEmpty: 'Aucune partie jouée',
+    exportJson: 'Exporter en JSON',
+    exportCsv: 'Exporter en CSV',
+    clearHistory: 'Effacer',
+    clearHistoryConfirm: 'Oublier toutes les parties enregistrées ?',
+    modeLocal: 'Local',
+    modeOnline: 'En ligne',
+    foundAt: '{target} : {player} après {seconds} s',
+    watchReplay: 'Revoir la partie',
+    replayPause: 'Pause',
+    replaySpeed: 'Vitesse',
+    roomCreated: 'Salle créée avec le code : {code}',
+    roomJoined: 'Salle rejointe : {code}',
+    playerJoined: 'Un nouveau joueur a rejoint la salle',
+    playerLeft: 'Un joueur a quitté la salle',
+    youAreHost: 'Vous êtes maintenant l’hôte de la salle',
+    newHost: 'La salle a un nouvel hôte',
+    victimRule: 'Voler à :',
+    victimRuleHelp: 'À qui un pouvoir prend une case quand on joue à trois ou plus',
+    victimRandom: 'N’importe qui',
+    victimLeader: 'Le premier',
+    victimLastFinder: 'Le dernier à trouver',
+    stoleFrom: '{thief} a volé une case à {victim} !',
+    recoveredCell: '{player} garde une case volée',
+    savedCell: '{player} a sauvé une case de {thief} !',
+
+    // Multiplayer: server errors (by error code)
+    invalidMessage: 'Format de message invalide',
+    serverError: 'Erreur interne du serveur',
+    invalidName: 'Le nom doit contenir entre 3 et 20 caractères',
+    roomNotFound: 'Salle introuvable',
+    gameInProgress: 'Partie déjà en cours',
+    roomFull: 'La salle est pleine',
+    rejoinFailed: 'Impossible de rejoindre la salle à nouveau',
+    playerNotFound: 'Salle ou joueur introuvable',
+    notAllowed: 'Action non autorisée pour ce joueur'
+  }
+};
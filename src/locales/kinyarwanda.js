@@ -0,0 +1,379 @@
+/**
+ * Kinyarwanda locale pack
+ */
+
+// 1-9 as counted
+const UNITS = ['rimwe', 'kabiri', 'gatatu', 'kane', 'gatanu', 'gatandatu', 'karindwi', 'umunani', 'icyenda'];
+
+// 3-9 agreeing with "mirongo" (tens), as in "mirongo itatu"
+const TENS_COUNTS = ['itatu', 'ine', 'itanu', 'itandatu', 'irindwi', 'inani', 'icyenda'];
+
+// 2-9 agreeing with "magana" (hundreds), as in "magana abiri"
+const HUNDREDS_COUNTS = ['abiri', 'atatu', 'ane', 'atanu', 'atandatu', 'arindwi', 'inani', 'cyenda'];
+
+// 2-9 agreeing with "ibihumbi" (thousands), as in "ibihumbi bibiri"
+const THOUSANDS_COUNTS = ['bibiri', 'bitatu', 'bine', 'bitanu', 'bitandatu', 'birindwi', 'umunani', 'icyenda'];
+
+/**
+ * Join the parts of a number with "na" (and), which drops its vowel before a
+ * vowel: "cumi n'umunani"
+ * @param {Array} parts - Words, largest part first
+ * @returns {string} Words
+ */
+function joinParts(parts) {
+  return parts.reduce((words, part) => /^[aeiou]/.test(part) ? `${words} n'${part}` : `${words} na ${part}`);
+}
+
+/**
+ * Words for 1-100
+ * @param {number} num - Number to translate
+ * @returns {string} Words
+ */
+function belowHundred(num) {
+  if (num === 100) return 'ijana';
+  if (num === 10) return 'icumi';
+  if (num < 10) return UNITS[num - 1];
+
+  const tens = Math.floor(num / 10);
+  const units = num % 10;
+
+  // 10 is "cumi" inside a compound, 20 has its own word, 30-90 are "mirongo" + count
+  let word;
+  if (tens === 1) {
+    word = 'cumi';
+  } else if (tens === 2) {
+    word = 'makumyabiri';
+  } else {
+    word = `mirongo ${TENS_COUNTS[tens - 3]}`;
+  }
+
+  return units === 0 ? word : joinParts([word, UNITS[units - 1]]);
+}
+
+/**
+ * Words for 1-999
+ * @param {number} num - Number to translate
+ * @returns {string} Words
+ */
+function belowThousand(num) {
+  const hundreds = Math.floor(num / 100);
+  const rest = num % 100;
+  if (hundreds === 0 || num === 100) return belowHundred(num);
+
+  const parts = [hundreds === 1 ? 'ijana' : `magana ${HUNDREDS_COUNTS[hundreds - 2]}`];
+  if (rest > 0) parts.push(belowHundred(rest));
+  return joinParts(parts);
+}
+
+export default {
+  id: 'kinyarwanda',
+  name: 'Kinyarwanda',
+  lang: 'rw-RW',
+  prompt: 'Shaka:',
+
+  /**
+   * Compose the Kinyarwanda words for a number
+   * @param {number} num - Number to translate (any safe integer)
+   * @returns {string|null} Words, or null if not an integer
+   */
+  numberToWords(num) {
+    if (!Number.isSafeInteger(num)) return null;
+    if (num === 0) return 'zeru';
+    if (num < 0) return `ukuyemo ${this.numberToWords(-num)}`;
+
+    const parts = [];
+    let rest = num;
+
+    const billions = Math.floor(rest / 1e9);
+    if (billions > 0) {
+      parts.push(billions === 1 ? 'miliyari' : `miliyari ${this.numberToWords(billions)}`);
+      rest %= 1e9;
+    }
+
+    const millions = Math.floor(rest / 1e6);
+    if (millions > 0) {
+      parts.push(millions === 1 ? 'miliyoni' : `miliyoni ${belowThousand(millions)}`);
+      rest %= 1e6;
+    }
+
+    // igihumbi (1000), ibihumbi bibiri (2000), ibihumbi makumyabiri (20 000)
+    const thousands = Math.floor(rest / 1000);
+    if (thousands === 1) {
+      parts.push('igihumbi');
+    } else if (thousands > 1 && thousands < 10) {
+      parts.push(`ibihumbi ${THOUSANDS_COUNTS[thousands - 2]}`);
+    } else if (thousands >= 10) {
+      parts.push(`ibihumbi ${belowThousand(thousands)}`);
+    }
+    rest %= 1000;
+
+    if (rest > 0) parts.push(belowThousand(rest));
+    return joinParts(parts);
+  },
+
+  // Letters of the Kinyarwanda alphabet (no Q or X)
+  alphabet: 'ABCDEFGHIJKLMNOPRSTUVWYZ',
+
+  // Syllables for reading practice: a consonant and a vowel, then clusters
+  syllables: {
+    simple: [
+      'ba', 'be', 'bi', 'bo', 'bu', 'ca', 'ce', 'ci', 'co', 'cu',
+      'da', 'de', 'di', 'do', 'du', 'fa', 'fe', 'fi', 'fo', 'fu',
+      'ga', 'ge', 'gi', 'go', 'gu', 'ha', 'he', 'hi', 'ho', 'hu',
+      'ja', 'je', 'ji', 'jo', 'ju', 'ka', 'ke', 'ki', 'ko', 'ku',
+      'ma', 'me', 'mi', 'mo', 'mu', 'na', 'ne', 'ni', 'no', 'nu',
+      'pa', 'pe', 'pi', 'po', 'pu', 'ra', 're', 'ri', 'ro', 'ru',
+      'sa', 'se', 'si', 'so', 'su', 'ta', 'te', 'ti', 'to', 'tu',
+      'va', 've', 'vi', 'vo', 'vu', 'wa', 'we', 'wi', 'wo', 'wu',
+      'ya', 'ye', 'yi', 'yo', 'yu', 'za', 'ze', 'zi', 'zo', 'zu'
+    ],
+    compound: [
+      'nda', 'nde', 'ndi', 'ndo', 'ndu', 'mba', 'mbe', 'mbi', 'mbo', 'mbu',
+      'nga', 'nge', 'ngi', 'ngo', 'ngu', 'nka', 'nke', 'nki', 'nko', 'nku',
+      'nta', 'nte', 'nti', 'nto', 'ntu', 'nya', 'nye', 'nyi', 'nyo', 'nyu',
+      'sha', 'she', 'shi', 'sho', 'shu', 'tsa', 'tse', 'tsi', 'tso', 'tsu',
+      'pfa', 'pfe', 'pfi', 'pfo', 'pfu', 'bwa', 'bwe', 'bwi', 'bwo', 'bwu',
+      'kwa', 'kwe', 'kwi', 'kwo', 'kwu', 'rwa', 'rwe', 'rwi', 'rwo', 'rwu',
+      'cya', 'jya', 'shya', 'mpa', 'mfa', 'nza', 'nsa'
+    ]
+  },
+
+  // Words for word boards
+  words: [
+    'mama', 'papa', 'inka', 'amata', 'ishuri', 'umwana', 'igiti', 'inzu', 'amazi', 'umugati',
+    'isuku', 'ikaramu', 'igitabo', 'umupira', 'intebe', 'ameza', 'imbwa', 'ihene', 'inkoko', 'izuba',
+    'ukwezi', 'umuneke', 'imodoka', 'ijisho', 'ikiganza', 'urugo', 'umuryango', 'inshuti', 'umwarimu', 'ibaruwa'
+  ],
+
+  // Names of the pictures in board-content.js
+  pictures: {
+    dog: 'imbwa', cat: 'injangwe', cow: 'inka', goat: 'ihene', chicken: 'inkoko', fish: 'ifi',
+    bird: 'inyoni', lion: 'intare', elephant: 'inzovu', banana: 'umuneke', apple: 'pome',
+    milk: 'amata', bread: 'umugati', sun: 'izuba', moon: 'ukwezi', star: 'inyenyeri',
+    tree: 'igiti', flower: 'ururabo', house: 'inzu', car: 'imodoka', ball: 'umupira',
+    book: 'igitabo', hand: 'ikiganza', eye: 'ijisho', water: 'amazi'
+  },
+
+  strings: {
+    // Intro page
+    time: 'Igihe:',
+    timeout: 'Igihe kirangiye:',
+    language: 'Ururimi:',
+    board: 'Ikibaho:',
+    edges: 'Impande:',
+    touch: 'Gukoraho:',
+    reader: 'Usoma:',
+    on: 'Yego',
+    off: 'Oya',
+    play: 'Kina',
+    dailyChallenge: "Umukino w'umunsi",
+    playMultiplayer: "Kina n'abandi",
+    numbers: 'imibare',
+    noLimit: 'nta gihe',
+    skip: 'Simbuka',
+    unclaimed: 'Nta nyirayo',
+    penalty: 'Igihano',
+    wrap: 'Zenguruka',
+    clamp: 'Hagarara',
+    touchTap: 'Kanda akazu',
+    touchSwipe: 'Kurura + kanda',
+    content: 'Ibiri mu tuzu:',
+    contentNumbers: 'Imibare',
+    contentLetters: 'Inyuguti (A → Z)',
+    contentSyllables: 'Imigemo (ba, be, bi...)',
+    contentCompoundSyllables: 'Imigemo (nda, mba, nya...)',
+    contentWords: 'Amagambo',
+    contentPictures: 'Amashusho',
+    customWordsPlaceholder: 'Amagambo yawe: inka, amata, inzu',
+    customWordsHelp: 'Amagambo atandukanyijwe n’akitso (siga ubusa ngo ukoreshe urutonde rusanzwe)',
+    numberRange: 'Imibare:',
+    rangeStandard: '1, 2, 3, ...',
+    rangeHundreds: '101, 102, 103, ...',
+    rangeThousands: 'Ibihumbi',
+    rangeNegatives: 'Imibare iri munsi ya zeru',
+    rangeCustom: 'Ihitiremo...',
+    customRangeHelp: 'Imibare n’ibice bitandukanyijwe n’akitso, urugero 1-50, 101-150 cyangwa -20..20',
+    sequence: 'Uko bikurikirana:',
+    seqAscending: 'Kuzamuka',
+    seqCountdown: 'Kumanuka',
+    seqOdds: 'Imibare igiharwe',
+    seqEvens: 'Imibare ishyikirwa',
+    seqMultiples: 'Inkubo za...',
+    seqPrimes: 'Imibare y’ibanze',
+    seqFibonacci: 'Fibonacci',
+    seqRandom: 'Bivanze',
+    multipleOf: 'Inkubo za',
+    targetMode: 'Ibyo gushaka:',
+    targetWords: 'Amagambo',
+    mathAddition: 'Guteranya (7 + 5)',
+    mathTimes: 'Gukuba (3 × 4)',
+    mathMixed: 'Bivanze (+ − × ÷ √)',
+    powerUp: 'Imbaraga:',
+    powerSteal: 'Kwiba',
+    powerFreeze: 'Guhagarika',
+    powerShuffle: 'Kuvanga',
+    powerReveal: 'Kwerekana umurongo',
+    powerBlock: 'Gufunga',
+    powerMixed: 'Bivanze',
+    stealCount: 'Utuzu twibwa icyarimwe',
+    powerStreak: 'Uruhererekane:',
+    powerOnce: 'Rimwe',
+    powerRepeat: 'Kenshi',
+    powerResetHelp: 'Rimwe: imbaraga imwe ku ruhererekane. Kenshi: buri ruhererekane rushya ruzana izindi',
+
+    // Reading aloud and voice control (command words are |-separated alternatives)
+    voice: 'Ijwi:',
+    voiceAuto: 'Byikora',
+    sayTarget: 'shaka {word}',
+    sayPlus: 'wongeyeho',
+    sayMinus: 'ukuyemo',
+    sayTimes: 'ukubye na',
+    sayDivided: 'ugabanyije na',
+    sayRoot: 'umuzi kare wa',
+    voiceCommands: 'Gukoresha ijwi:',
+    voiceUnsupported: 'Iyi mushakisha ntishobora kumva ijwi',
+    voiceUp: 'hejuru|zamuka',
+    voiceRight: 'iburyo',
+    voiceDown: 'hasi|manuka',
+    voiceLeft: 'ibumoso',
+    voiceConfirm: 'emeza|hitamo|yego',
+
+    // Names screen
+    option: 'Amahitamo',
+    player1: 'Umukinnyi 1',
+    player2: 'Umukinnyi 2',
+    player3: 'Umukinnyi 3',
+    player4: 'Umukinnyi 4',
+    ready: 'Niteguye',
+    notReady: 'Sinteguye',
+    human: 'Umuntu',
+    cpuEasy: 'Mudasobwa (byoroshye)',
+    cpuMedium: 'Mudasobwa (hagati)',
+    cpuHard: 'Mudasobwa (bikomeye)',
+
+    // Options screen
+    options: 'Amahitamo',
+    back: 'Subira inyuma',
+    resetDefaults: 'Garura ibisanzwe',
+    moveUp: 'Kujya hejuru',
+    moveRight: 'Kujya iburyo',
+    moveDown: 'Kujya hasi',
+    moveLeft: 'Kujya ibumoso',
+    confirmKey: 'Kwemeza',
+    powerKey: 'Gukoresha imbaraga',
+    gamepad: 'Manette',
+    gamepadNone: 'Nta na imwe',
+    pad: 'Manette {index}',
+    padDisconnected: 'Manette {index} (ntihujwe)',
+
+    // Game over
+    gameOver: 'Umukino urarangiye',
+    move: 'Intambwe',
+    power: 'Imbaraga',
+    saves: 'Ibyarokowe',
+    stolen: 'Ibyibwe',
+    score: 'Amanota',
+    seed: 'Imbuto:',
+    playAgain: 'Ongera ukine',
+    winnerIs: 'Uwatsinze ni',
+    tie: 'Banganyije: {names}',
+    done: 'Byarangiye',
+    go: 'Tangira!',
+
+    // Multiplayer: connection
+    connecting: 'Birimo guhuza...',
+    connectingToServer: 'Guhuza na seriveri...',
+    connected: 'Byahujwe',
+    disconnected: 'Byaciwe',
+    connectionError: 'Ikosa ryo guhuza',
+    reconnecting: 'Kongera guhuza...',
+    reconnect: 'Ongera uhuze',
+
+    // Multiplayer: menu and forms
+    joinOrCreate: 'Injira cyangwa ukore icyumba',
+    createRoom: 'Kora icyumba',
+    joinRoom: 'Injira mu cyumba',
+    backToMenu: 'Subira ahabanza',
+    server: 'Seriveri:',
+    connect: 'Huza',
+    touchTapLong: 'Kanda akazu ujyeyo kandi wemeze',
+    touchSwipeLong: 'Kurura ugende, kanda wemeze',
+    createARoom: 'Kora icyumba',
+    joinARoom: 'Injira mu cyumba',
+    yourName: 'Izina ryawe:',
+    maxPlayers: 'Abakinnyi benshi (2-10):',
+    playerCount: 'Abakinnyi {count}',
+    boardSize: "Ingano y'ikibaho:",
+    boardEdges: "Impande z'ikibaho:",
+    wrapAround: 'Zenguruka',
+    stopAtEdge: 'Hagarara ku mpera',
+    controls: 'Utubuto',
+    controlUp: 'Hejuru:',
+    controlRight: 'Iburyo:',
+    controlDown: 'Hasi:',
+    controlLeft: 'Ibumoso:',
+    controlConfirm: 'Kwemeza:',
+    customizeControls: 'Hindura utubuto',
+    pressAKey: 'Kanda akabuto...',
+    cancel: 'Reka',
+    roomCode: "Kode y'icyumba:",
+
+    // Multiplayer: waiting room and game
+    waitingForPlayers: 'Dutegereje abakinnyi',
+    players: 'Abakinnyi:',
+    copyRoomCode: "Koporora kode y'icyumba",
+    you: '(Wowe)',
+    host: '(Nyiri icyumba)',
+    waiting: 'Aracyategereje',
+    leaveRoom: 'Va mu cyumba',
+    resume: 'Komeza',
+    exitGame: 'Va mu mukino',
+    returnToMenu: 'Subira ahabanza',
+
+    // Multiplayer: notifications
+    roomCodeCopied: "Kode y'icyumba yakoporowe",
+    roomCodeCopyFailed: "Kode y'icyumba ntiyakoporowe",
+    notConnected: 'Ntabwo uhujwe na seriveri. Ongera ugerageze.',
+    notConnectedRefresh: 'Ntabwo uhujwe na seriveri. Ongera ufungure paji.',
+    disconnectedToast: 'Wavuye kuri seriveri. Kanda "Ongera uhuze" ugerageze.',
+    connectionErrorToast: 'Ikosa ryo guhuza na seriveri. Kanda "Ongera uhuze" ugerageze.',
+    reconnectingToast: 'Turagerageza kongera guhuza na seriveri...',
+    history: 'amateka',
+    historyEmpty: 'Nta mukino urakinwa',
+    exportJson: 'Kohereza muri JSON',
+    exportCsv: 'Kohereza muri CSV',
+    clearHistory: 'Siba',
+    clearHistoryConfirm: 'Gusiba imikino yose yabitswe?',
+    modeLocal: 'Hano',
+    modeOnline: 'Kuri murandasi',
+    foundAt: "{target}: {player} nyuma y'amasegonda {seconds}",
+    watchReplay: 'Reba uko umukino wagenze',
+    replayPause: 'Hagarara',
+    replaySpeed: 'Umuvuduko',
+    roomCreated: 'Icyumba cyakozwe, kode: {code}',
+    roomJoined: 'Winjiye mu cyumba: {code}',
+    playerJoined: 'Umukinnyi mushya yinjiye mu cyumba',
+    playerLeft: 'Umukinnyi yavuye mu cyumba',
+    youAreHost: 'Ubu ni wowe nyiri icyumba',
+    newHost: 'Icyumba gifite nyiracyo mushya',
+    victimRule: 'Kwiba kuri:',
+    victimRuleHelp: 'Uwo imbaraga zitwara akazu iyo mukina muri batatu cyangwa benshi',
+    victimRandom: 'Uwo ari we wese',
+    victimLeader: 'Uri imbere',
+    victimLastFinder: 'Uwabonye nyuma',
+    stoleFrom: '{thief} yibye akazu ka {victim}!',
+    recoveredCell: '{player} yagumanye akazu yibye',
+    savedCell: '{player} yarokoye akazu kuri {thief}!',
+
+    // Multiplayer: server errors (by error code)
+    invalidMessage: 'Ubutumwa butemewe',
+    serverError: 'Ikosa kuri seriveri',
+    invalidName: 'Izina rigomba kugira inyuguti hagati ya 3 na 20',
+    roomNotFound: 'Icyumba ntikibonetse',
+    gameInProgress: 'Umukino uracyakomeje',
+    roomFull: 'Icyumba cyuzuye',
+    rejoinFailed: 'Ntibyashobotse kongera kwinjira mu cyumba',
+    playerNotFound: 'Icyumba cyangwa umukinnyi ntibibonetse',
+    notAllowed: 'Ntiwemerewe gukinira uyu mukinnyi'
+  }
+};
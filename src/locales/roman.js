@@ -0,0 +1,33 @@
+/**
+ * Roman numerals locale pack (English prompt and UI)
+ */
+
+const NUMERALS = [
+  [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'], [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+];
+
+export default {
+  id: 'roman',
+  name: 'Roman',
+  lang: 'en-US',
+  prompt: 'Find:',
+
+  /**
+   * Translate a number to Roman numerals
+   * @param {number} num - Number to translate (1-3999)
+   * @returns {string|null} Numerals, or null if out of range
+   */
+  numberToWords(num) {
+    if (!Number.isInteger(num) || num < 1 || num > 3999) return null;
+
+    let rest = num;
+    let numeral = '';
+    NUMERALS.forEach(([value, symbol]) => {
+      while (rest >= value) {
+        numeral += symbol;
+        rest -= value;
+      }
+    });
+    return numeral;
+  }
+};
@@ -0,0 +1,324 @@
+/**
+ * Swahili locale pack
+ */
+
+const UNITS = ['moja', 'mbili', 'tatu', 'nne', 'tano', 'sita', 'saba', 'nane', 'tisa'];
+
+// 10, 20, ... 90
+const TENS = ['kumi', 'ishirini', 'thelathini', 'arobaini', 'hamsini', 'sitini', 'sabini', 'themanini', 'tisini'];
+
+// Largest first
+const SCALES = [[1e9, 'bilioni'], [1e6, 'milioni'], [1e3, 'elfu'], [100, 'mia']];
+
+/**
+ * Words for 1-99
+ * @param {number} num - Number to translate
+ * @returns {string} Words
+ */
+function belowHundred(num) {
+  if (num < 10) return UNITS[num - 1];
+
+  const tens = TENS[Math.floor(num / 10) - 1];
+  const units = num % 10;
+
+  // "ishirini na moja" (twenty and one)
+  return units === 0 ? tens : `${tens} na ${UNITS[units - 1]}`;
+}
+
+export default {
+  id: 'swahili',
+  name: 'Swahili',
+  lang: 'sw-KE',
+  prompt: 'Tafuta:',
+
+  /**
+   * Translate a number to Swahili words, e.g. 'elfu moja mia mbili na tano'
+   * @param {number} num - Number to translate (any safe integer)
+   * @returns {string|null} Words, or null if not an integer
+   */
+  numberToWords(num) {
+    if (!Number.isSafeInteger(num)) return null;
+    if (num === 0) return 'sifuri';
+    if (num < 0) return `hasi ${this.numberToWords(-num)}`;
+
+    // The scale word comes first and its count after: "mia mbili" (two hundred)
+    const parts = [];
+    let rest = num;
+    SCALES.forEach(([value, name]) => {
+      const count = Math.floor(rest / value);
+      if (count > 0) {
+        parts.push(`${name} ${this.numberToWords(count)}`);
+        rest %= value;
+      }
+    });
+
+    if (rest === 0) return parts.join(' ');
+    if (parts.length === 0) return belowHundred(rest);
+    // What follows the hundreds or thousands is joined with "na": "mia moja na kumi"
+    return `${parts.join(' ')} na ${belowHundred(rest)}`;
+  },
+
+  // Letters of the Swahili alphabet (no C, Q or X)
+  alphabet: 'ABDEFGHIJKLMNOPRSTUVWYZ',
+
+  // Syllables for reading practice: a consonant and a vowel, then clusters
+  syllables: {
+    simple: [
+      'ba', 'be', 'bi', 'bo', 'bu', 'cha', 'che', 'chi', 'cho', 'chu',
+      'da', 'de', 'di', 'do', 'du', 'fa', 'fe', 'fi', 'fo', 'fu',
+      'ga', 'ge', 'gi', 'go', 'gu', 'ha', 'he', 'hi', 'ho', 'hu',
+      'ja', 'je', 'ji', 'jo', 'ju', 'ka', 'ke', 'ki', 'ko', 'ku',
+      'la', 'le', 'li', 'lo', 'lu', 'ma', 'me', 'mi', 'mo', 'mu',
+      'na', 'ne', 'ni', 'no', 'nu', 'pa', 'pe', 'pi', 'po', 'pu',
+      'sa', 'se', 'si', 'so', 'su', 'ta', 'te', 'ti', 'to', 'tu',
+      'va', 've', 'vi', 'vo', 'vu', 'wa', 'we', 'wi', 'wo', 'wu',
+      'ya', 'ye', 'yi', 'yo', 'yu', 'za', 'ze', 'zi', 'zo', 'zu'
+    ],
+    compound: [
+      'mba', 'mbe', 'mbi', 'mbo', 'mbu', 'nda', 'nde', 'ndi', 'ndo', 'ndu',
+      'nga', 'nge', 'ngi', 'ngo', 'ngu', 'nja', 'nje', 'nji', 'njo', 'nju',
+      'nya', 'nye', 'nyi', 'nyo', 'nyu', 'sha', 'she', 'shi', 'sho', 'shu',
+      'tha', 'the', 'thi', 'tho', 'thu', 'dha', 'dhe', 'dhi', 'dho', 'dhu',
+      'gha', 'ghe', 'ghi', 'gho', 'ghu', "ng'a", "ng'o"
+    ]
+  },
+
+  // Words for word boards
+  words: [
+    'mama', 'baba', 'shule', 'kitabo', 'maji', 'chai', 'mkate', 'nyumba', 'mti', 'jua',
+    'mwezi', 'nyota', 'mbwa', 'paka', 'kuku', 'samaki', 'ndizi', 'mpira', 'gari', 'rafiki',
+    'mwalimu', 'kalamu', 'meza', 'kiti', 'mlango', 'dirisha', 'maziwa', 'chakula', 'mtoto', 'simba'
+  ],
+
+  // Names of the pictures in board-content.js
+  pictures: {
+    dog: 'mbwa', cat: 'paka', cow: "ng'ombe", goat: 'mbuzi', chicken: 'kuku', fish: 'samaki',
+    bird: 'ndege', lion: 'simba', elephant: 'tembo', banana: 'ndizi', apple: 'tufaha',
+    milk: 'maziwa', bread: 'mkate', sun: 'jua', moon: 'mwezi', star: 'nyota', tree: 'mti',
+    flower: 'ua', house: 'nyumba', car: 'gari', ball: 'mpira', book: 'kitabo', hand: 'mkono',
+    eye: 'jicho', water: 'maji'
+  },
+
+  strings: {
+    // Intro page
+    time: 'Muda:',
+    timeout: 'Muda ukiisha:',
+    language: 'Lugha:',
+    board: 'Ubao:',
+    edges: 'Kingo:',
+    touch: 'Mguso:',
+    reader: 'Msomaji:',
+    on: 'Washa',
+    off: 'Zima',
+    play: 'Cheza',
+    dailyChallenge: 'Changamoto ya Leo',
+    playMultiplayer: 'Cheza na Wengine',
+    numbers: 'namba',
+    noLimit: 'bila kikomo',
+    skip: 'Ruka',
+    unclaimed: 'Haijachukuliwa',
+    penalty: 'Adhabu',
+    wrap: 'Zunguka',
+    clamp: 'Simama',
+    touchTap: 'Gusa kisanduku',
+    touchSwipe: 'Telezesha + gusa',
+    content: 'Visanduku:',
+    contentNumbers: 'Namba',
+    contentLetters: 'Herufi (A → Z)',
+    contentSyllables: 'Silabi (ba, be, bi...)',
+    contentCompoundSyllables: 'Silabi (nda, mba, nya...)',
+    contentWords: 'Maneno',
+    contentPictures: 'Picha',
+    customWordsPlaceholder: 'Maneno yako: paka, mbwa, jua',
+    customWordsHelp: 'Maneno yaliyotenganishwa kwa koma (acha tupu kwa orodha iliyopo)',
+    numberRange: 'Namba:',
+    rangeStandard: '1, 2, 3, ...',
+    rangeHundreds: '101, 102, 103, ...',
+    rangeThousands: 'Maelfu',
+    rangeNegatives: 'Namba hasi',
+    rangeCustom: 'Chagua mwenyewe...',
+    customRangeHelp: 'Namba na masafa yaliyotenganishwa kwa koma, k.m. 1-50, 101-150 au -20..20',
+    sequence: 'Mpangilio:',
+    seqAscending: 'Kupanda',
+    seqCountdown: 'Kushuka',
+    seqOdds: 'Namba witiri',
+    seqEvens: 'Namba shufwa',
+    seqMultiples: 'Vigawe vya...',
+    seqPrimes: 'Namba tasa',
+    seqFibonacci: 'Fibonacci',
+    seqRandom: 'Mpangilio nasibu',
+    multipleOf: 'Vigawe vya',
+    targetMode: 'Malengo:',
+    targetWords: 'Maneno',
+    mathAddition: 'Kujumlisha (7 + 5)',
+    mathTimes: 'Kuzidisha (3 × 4)',
+    mathMixed: 'Mchanganyiko (+ − × ÷ √)',
+    powerUp: 'Nguvu:',
+    powerSteal: 'Iba',
+    powerFreeze: 'Gandisha',
+    powerShuffle: 'Changanya',
+    powerReveal: 'Onyesha safu',
+    powerBlock: 'Zuia',
+    powerMixed: 'Mchanganyiko',
+    stealCount: 'Visanduku vinavyoibwa',
+    powerStreak: 'Mfululizo:',
+    powerOnce: 'Mara moja',
+    powerRepeat: 'Tena na tena',
+    powerResetHelp: 'Mara moja: nguvu moja kwa kila mfululizo. Tena na tena: kila mfululizo mpya unaleta nyingine',
+
+    // Reading aloud and voice control (command words are |-separated alternatives)
+    voice: 'Sauti:',
+    voiceAuto: 'Otomatiki',
+    sayTarget: 'tafuta {word}',
+    sayPlus: 'jumlisha',
+    sayMinus: 'toa',
+    sayTimes: 'mara',
+    sayDivided: 'gawanya kwa',
+    sayRoot: 'kipeuo cha pili cha',
+    voiceCommands: 'Amri za sauti:',
+    voiceUnsupported: 'Kivinjari hiki hakitambui sauti',
+    voiceUp: 'juu',
+    voiceRight: 'kulia',
+    voiceDown: 'chini',
+    voiceLeft: 'kushoto',
+    voiceConfirm: 'chagua|thibitisha|sawa',
+
+    // Names screen
+    option: 'Chaguo',
+    player1: 'Mchezaji 1',
+    player2: 'Mchezaji 2',
+    player3: 'Mchezaji 3',
+    player4: 'Mchezaji 4',
+    ready: 'Tayari',
+    notReady: 'Si tayari',
+    human: 'Binadamu',
+    cpuEasy: 'Kompyuta (rahisi)',
+    cpuMedium: 'Kompyuta (wastani)',
+    cpuHard: 'Kompyuta (ngumu)',
+
+    // Options screen
+    options: 'Machaguo',
+    back: 'Rudi',
+    resetDefaults: 'Rejesha chaguo-msingi',
+    moveUp: 'Kwenda juu',
+    moveRight: 'Kwenda kulia',
+    moveDown: 'Kwenda chini',
+    moveLeft: 'Kwenda kushoto',
+    confirmKey: 'Kuthibitisha',
+    powerKey: 'Kutumia nguvu',
+    gamepad: 'Kidhibiti',
+    gamepadNone: 'Hakuna',
+    pad: 'Kidhibiti {index}',
+    padDisconnected: 'Kidhibiti {index} (hakijaunganishwa)',
+
+    // Game over
+    gameOver: 'Mchezo Umekwisha',
+    move: 'Hatua',
+    power: 'Nguvu',
+    saves: 'Okoa',
+    stolen: 'Ibiwa',
+    score: 'Alama',
+    seed: 'Mbegu:',
+    playAgain: 'Cheza Tena',
+    winnerIs: 'Mshindi ni',
+    tie: 'Sare: {names}',
+    done: 'Imekwisha',
+    go: 'Anza!',
+
+    // Multiplayer: connection
+    connecting: 'Inaunganisha...',
+    connectingToServer: 'Inaunganisha na seva...',
+    connected: 'Imeunganishwa',
+    disconnected: 'Imetenganishwa',
+    connectionError: 'Hitilafu ya muunganisho',
+    reconnecting: 'Inaunganisha upya...',
+    reconnect: 'Unganisha upya',
+
+    // Multiplayer: menu and forms
+    joinOrCreate: 'Jiunge au Unda Chumba',
+    createRoom: 'Unda Chumba',
+    joinRoom: 'Jiunge na Chumba',
+    backToMenu: 'Rudi Mwanzo',
+    server: 'Seva:',
+    connect: 'Unganisha',
+    touchTapLong: 'Gusa kisanduku kwenda na kuthibitisha',
+    touchSwipeLong: 'Telezesha kusogea, gusa kuthibitisha',
+    createARoom: 'Unda Chumba',
+    joinARoom: 'Jiunge na Chumba',
+    yourName: 'Jina Lako:',
+    maxPlayers: 'Wachezaji Wengi Zaidi (2-10):',
+    playerCount: 'Wachezaji {count}',
+    boardSize: 'Ukubwa wa Ubao:',
+    boardEdges: 'Kingo za Ubao:',
+    wrapAround: 'Zunguka',
+    stopAtEdge: 'Simama ukingoni',
+    controls: 'Vidhibiti',
+    controlUp: 'Juu:',
+    controlRight: 'Kulia:',
+    controlDown: 'Chini:',
+    controlLeft: 'Kushoto:',
+    controlConfirm: 'Thibitisha:',
+    customizeControls: 'Badilisha Vidhibiti',
+    pressAKey: 'Bonyeza kitufe...',
+    cancel: 'Ghairi',
+    roomCode: 'Msimbo wa Chumba:',
+
+    // Multiplayer: waiting room and game
+    waitingForPlayers: 'Tunasubiri Wachezaji',
+    players: 'Wachezaji:',
+    copyRoomCode: 'Nakili msimbo wa chumba',
+    you: '(Wewe)',
+    host: '(Mwenyeji)',
+    waiting: 'Anasubiri',
+    leaveRoom: 'Ondoka Chumbani',
+    resume: 'Endelea',
+    exitGame: 'Ondoka Mchezoni',
+    returnToMenu: 'Rudi kwenye Menyu',
+
+    // Multiplayer: notifications
+    roomCodeCopied: 'Msimbo wa chumba umenakiliwa',
+    roomCodeCopyFailed: 'Imeshindwa kunakili msimbo wa chumba',
+    notConnected: 'Hujaunganishwa na seva. Tafadhali jaribu tena.',
+    notConnectedRefresh: 'Hujaunganishwa na seva. Tafadhali pakia upya ukurasa.',
+    disconnectedToast: 'Umetenganishwa na seva. Bofya kitufe cha kuunganisha upya ujaribu tena.',
+    connectionErrorToast: 'Hitilafu ya kuunganisha na seva. Bofya kitufe cha kuunganisha upya ujaribu tena.',
+    reconnectingToast: 'Inajaribu kuunganisha upya na seva...',
+    history: 'historia',
+    historyEmpty: 'Bado hakuna mchezo uliochezwa',
+    exportJson: 'Hamisha JSON',
+    exportCsv: 'Hamisha CSV',
+    clearHistory: 'Futa',
+    clearHistoryConfirm: 'Kusahau michezo yote iliyohifadhiwa?',
+    modeLocal: 'Hapa',
+    modeOnline: 'Mtandaoni',
+    foundAt: '{target}: {player} baada ya sekunde {seconds}',
+    watchReplay: 'Tazama marudio',
+    replayPause: 'Sitisha',
+    replaySpeed: 'Kasi',
+    roomCreated: 'Chumba kimeundwa kwa msimbo: {code}',
+    roomJoined: 'Umejiunga na chumba: {code}',
+    playerJoined: 'Mchezaji mpya amejiunga na chumba',
+    playerLeft: 'Mchezaji ameondoka chumbani',
+    youAreHost: 'Sasa wewe ni mwenyeji wa chumba hiki',
+    newHost: 'Chumba kina mwenyeji mpya',
+    victimRule: 'Iba kutoka kwa:',
+    victimRuleHelp: 'Ambaye nguvu inachukua kisanduku chake mnapocheza watatu au zaidi',
+    victimRandom: 'Yeyote',
+    victimLeader: 'Anayeongoza',
+    victimLastFinder: 'Aliyepata mwisho',
+    stoleFrom: '{thief} ameiba kisanduku cha {victim}!',
+    recoveredCell: '{player} amebaki na kisanduku alichoiba',
+    savedCell: '{player} ameokoa kisanduku kutoka kwa {thief}!',
+
+    // Multiplayer: server errors (by error code)
+    invalidMessage: 'Muundo wa ujumbe si sahihi',
+    serverError: 'Hitilafu ya ndani ya seva',
+    invalidName: 'Jina lazima liwe na herufi 3 hadi 20',
+    roomNotFound: 'Chumba hakijapatikana',
+    gameInProgress: 'Mchezo tayari unaendelea',
+    roomFull: 'Chumba kimejaa',
+    rejoinFailed: 'Imeshindwa kujiunga tena na chumba',
+    playerNotFound: 'Chumba au mchezaji hakupatikana',
+    notAllowed: 'Huruhusiwi kuchezea mchezaji huyu'
+  }
+};
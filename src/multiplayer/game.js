@@ -1,9 +1,28 @@
+import { GameEngine } from '../engine/game-engine.js';
 import { Settings } from '../../src/utils/settings.js';
-import { Translator } from '../../src/utils/translator.js';
+import { Translator, t } from '../../src/utils/translator.js';
+import { PointerInput } from '../utils/pointer-input.js';
+import { MatchHistory, createMatchRecord } from '../utils/match-history.js';
+import { ReplayRecorder } from '../engine/replay.js';
 import { MultiplayerBoard } from './board.js';
 import { MultiplayerPlayer } from './player.js';
 import { MultiplayerUIManager } from './ui-manager.js';
 
+/**
+ * Public relay used when no other server is configured
+ */
+const DEFAULT_SERVER_URL = 'wss://mm74owuczg.relais.dev';
+
+/**
+ * localStorage key for the last-used server
+ */
+const SERVER_URL_STORAGE_KEY = 'shaka-server-url';
+
+/**
+ * Minimum time (ms) between player_move messages; faster moves are coalesced
+ */
+const MOVE_THROTTLE = 100;
+
 /**
  * Multiplayer Game class
  */
@@ -17,12 +36,35 @@ export class MultiplayerGame {
     this.translator = new Translator();
     this.board = new MultiplayerBoard();
     
+    // Local mirror of the server's game state; the server runs the rules
+    // (including the early win, so both agree on when the game is over)
+    this.engine = new GameEngine({ majorityWins: true });
+    this.board.attach(this.engine);
+    
+    // Finished games, and the one being played ({ startedAt, finds })
+    this.history = new MatchHistory();
+    this.match = null;
+    // Replay rebuilt from the game_update stream (the mirror engine only follows the server)
+    this.recorder = new ReplayRecorder();
+    
+    // Touch and mouse on the board
+    this.pointer = new PointerInput({
+      board: this.board,
+      onTap: position => this.handleTap(position),
+      onSwipe: direction => {
+        if (this.gameRunning) this.movePlayer(direction);
+      }
+    });
+    
+    // Throttled player_move sending
+    this.lastMoveSentAt = 0;
+    this.pendingMoveTimer = null;
+    
     // UI manager will be set in init
     this.ui = null;
     
     // Game state
     this.players = [];
-    this.currentTarget = 1;
     this.gameRunning = false;
     this.countdownIndex = 0;
     
@@ -30,14 +72,15 @@ export class MultiplayerGame {
     this.socket = null;
     this.socketConnected = false;
     
-    // Player information
+    // Player information (the rejoin token proves who we are on rejoin_room)
     this.playerId = null;
+    this.rejoinToken = null;
     this.roomCode = null;
     this.isHost = false;
     this.isReady = false;
     
-    // Countdown levels
-    this.levels = [3, 2, 1, 'Go!'];
+    // Countdown levels (words are UI string keys)
+    this.levels = [3, 2, 1, 'go'];
     
     // Bind methods
     this.handleKeyUp = this.handleKeyUp.bind(this);
@@ -45,12 +88,21 @@ export class MultiplayerGame {
     this.reconnectToServer = this.reconnectToServer.bind(this);
   }
 
+  /**
+   * Current target (owned by the engine)
+   * @returns {number} Current target
+   */
+  get currentTarget() {
+    return this.engine.currentTarget;
+  }
+
   /**
    * Initialize the multiplayer game
    */
   init() {
     // Initialize settings
     this.settings.init();
+    this.pointer.bind();
     
     // Initialize WebSocket connection - do this first
     this.initializeSocket();
@@ -61,6 +113,10 @@ export class MultiplayerGame {
       this.ui = new MultiplayerUIManager(this);
       this.ui.init();
       
+      // Render engine changes
+      this.engine.on('target', ({ target }) => this.ui.updateTarget(target));
+      this.engine.on('score', ({ players }) => this.ui.updateScores(players));
+      
       // Bind reconnect button
       const reconnectBtn = document.getElementById('reconnect-btn');
       if (reconnectBtn) {
@@ -74,18 +130,111 @@ export class MultiplayerGame {
    */
   initializeSocket() {
     try {
-      const isDevEnvironment = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
       // Create WebSocket connection
-      const serverUrl = 'wss://mm74owuczg.relais.dev';
-      console.log('Attempting to connect to WebSocket server at:', serverUrl);
-      
-      this.socket = new WebSocket(serverUrl);
-      
+      this.serverUrl = this.resolveServerUrl();
+      console.log('Attempting to connect to WebSocket server at:', this.serverUrl);
+      this.updateServerDisplay();
+
+      this.socket = new WebSocket(this.serverUrl);
+
       // Set up socket event handlers
       this.handleSocketEvents();
     } catch (error) {
       console.error('Error initializing WebSocket:', error);
-      this.updateConnectionStatus('disconnected', 'Connection Error');
+      this.updateConnectionStatus('disconnected', 'connectionError');
+    }
+  }
+
+  /**
+   * Work out which server to connect to, in this order:
+   * 1. ?server= in the address bar (remembered for the next sessions)
+   * 2. the server last picked in the app (localStorage); it wins over
+   *    VITE_SERVER_URL, and clearing the server field goes back to it
+   * 3. VITE_SERVER_URL, set when the app was built
+   * 4. the Vite dev server's /ws proxy to `npm run server` (dev mode only;
+   *    `vite preview` and the Tauri app have no proxy)
+   * 5. the public relay
+   * @returns {string} WebSocket server URL
+   */
+  resolveServerUrl() {
+    const queryUrl = new URLSearchParams(window.location.search).get('server');
+    if (queryUrl) {
+      // Remember it so the next session connects to the same server
+      const url = this.normalizeServerUrl(queryUrl);
+      localStorage.setItem(SERVER_URL_STORAGE_KEY, url);
+      return url;
+    }
+
+    const savedUrl = localStorage.getItem(SERVER_URL_STORAGE_KEY);
+    if (savedUrl) {
+      return savedUrl;
+    }
+
+    if (import.meta.env?.VITE_SERVER_URL) {
+      return this.normalizeServerUrl(import.meta.env.VITE_SERVER_URL);
+    }
+
+    if (import.meta.env?.DEV) {
+      // Proxied to `npm run server` by the Vite dev server (see vite.config.js)
+      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+      return `${protocol}//${window.location.host}/ws`;
+    }
+
+    return DEFAULT_SERVER_URL;
+  }
+
+  /**
+   * Turn user input like "192.168.1.5:8080" into a WebSocket URL
+   * @param {string} url - Server address as entered
+   * @returns {string} WebSocket server URL
+   */
+  normalizeServerUrl(url) {
+    const trimmed = url.trim().replace(/\/+$/, '');
+
+    if (/^wss?:\/\//i.test(trimmed)) {
+      return trimmed;
+    }
+    if (/^https?:\/\//i.test(trimmed)) {
+      return trimmed.replace(/^http/i, 'ws');
+    }
+    return `ws://${trimmed}`;
+  }
+
+  /**
+   * Switch to a different server and reconnect
+   * @param {string} url - Server address as entered
+   */
+  setServerUrl(url) {
+    if (!url || !url.trim()) {
+      // An empty field goes back to the default resolution
+      localStorage.removeItem(SERVER_URL_STORAGE_KEY);
+    } else {
+      localStorage.setItem(SERVER_URL_STORAGE_KEY, this.normalizeServerUrl(url));
+    }
+
+    // A ?server= in the address bar would otherwise win again on reconnect
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('server')) {
+      params.delete('server');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    }
+
+    this.reconnectToServer();
+  }
+
+  /**
+   * Show the current server in the connection status indicator
+   */
+  updateServerDisplay() {
+    const serverElement = document.querySelector('#connection-status .status-server');
+    if (serverElement) {
+      serverElement.textContent = this.serverUrl;
+    }
+
+    const serverInput = document.getElementById('server-url');
+    if (serverInput && !serverInput.value) {
+      serverInput.value = this.serverUrl;
     }
   }
 
@@ -99,7 +248,7 @@ export class MultiplayerGame {
       this.socketConnected = true;
       
       // Update connection status indicator
-      this.updateConnectionStatus('connected', 'Connected');
+      this.updateConnectionStatus('connected', 'connected');
       
       // Clear connection timeout
       if (this.connectionTimeout) {
@@ -159,10 +308,10 @@ export class MultiplayerGame {
       this.socketConnected = false;
       
       // Update connection status indicator
-      this.updateConnectionStatus('disconnected', 'Disconnected');
+      this.updateConnectionStatus('disconnected', 'disconnected');
       
       if (this.ui) {
-        this.ui.showToast('Disconnected from server. Click the reconnect button to try again.', 'error');
+        this.ui.showToast(t('disconnectedToast'), 'error');
       }
     };
     
@@ -172,10 +321,10 @@ export class MultiplayerGame {
       this.socketConnected = false;
       
       // Update connection status indicator
-      this.updateConnectionStatus('disconnected', 'Connection Error');
+      this.updateConnectionStatus('disconnected', 'connectionError');
       
       if (this.ui) {
-        this.ui.showToast('Error connecting to server. Click the reconnect button to try again.', 'error');
+        this.ui.showToast(t('connectionErrorToast'), 'error');
       }
     };
   }
@@ -187,7 +336,7 @@ export class MultiplayerGame {
    */
   sendMessage(type, payload) {
     if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
-      this.ui.showToast('Not connected to server. Please try again.', 'error');
+      this.ui.showToast(t('notConnected'), 'error');
       return;
     }
     
@@ -204,14 +353,15 @@ export class MultiplayerGame {
    * @param {object} data - Room creation data
    */
   handleRoomCreated(data) {
-    const { roomCode, playerId, room } = data;
+    const { roomCode, playerId, rejoinToken, room } = data;
     this.roomCode = roomCode;
     this.playerId = playerId;
+    this.rejoinToken = rejoinToken;
     this.isHost = true;
     
     // Update UI for waiting room
     this.ui.showWaitingRoom(room);
-    this.ui.showToast(`Room created with code: ${roomCode}`, 'success');
+    this.ui.showToast(t('roomCreated', { code: roomCode }), 'success');
   }
 
   /**
@@ -219,14 +369,15 @@ export class MultiplayerGame {
    * @param {object} data - Room join data
    */
   handleRoomJoined(data) {
-    const { roomCode, playerId, room } = data;
+    const { roomCode, playerId, rejoinToken, room } = data;
     this.roomCode = roomCode;
     this.playerId = playerId;
+    this.rejoinToken = rejoinToken;
     this.isHost = room.host === this.playerId;
     
     // Update UI for waiting room
     this.ui.showWaitingRoom(room);
-    this.ui.showToast(`Joined room: ${roomCode}`, 'success');
+    this.ui.showToast(t('roomJoined', { code: roomCode }), 'success');
   }
 
   /**
@@ -237,7 +388,7 @@ export class MultiplayerGame {
     const { room } = data;
     // Update waiting room UI
     this.ui.updateWaitingRoom(room);
-    this.ui.showToast('A new player has joined the room');
+    this.ui.showToast(t('playerJoined'));
   }
 
   /**
@@ -258,7 +409,7 @@ export class MultiplayerGame {
     const { room } = data;
     // Update waiting room UI
     this.ui.updateWaitingRoom(room);
-    this.ui.showToast('A player has left the room');
+    this.ui.showToast(t('playerLeft'));
   }
 
   /**
@@ -273,9 +424,9 @@ export class MultiplayerGame {
     this.ui.updateWaitingRoom(room);
     
     if (this.isHost) {
-      this.ui.showToast('You are now the host of this room', 'success');
+      this.ui.showToast(t('youAreHost'), 'success');
     } else {
-      this.ui.showToast('The room has a new host');
+      this.ui.showToast(t('newHost'));
     }
   }
 
@@ -308,17 +459,17 @@ export class MultiplayerGame {
 
   /**
    * Handle errors
-   * @param {object} data - Error data
+   * @param {object} data - Error data ({ message, code }; the code is a UI string key)
    */
   handleError(data) {
-    const { message } = data;
-    this.ui.showToast(message, 'error');
+    const { message, code } = data;
+    this.ui.showToast(code ? t(code) : message, 'error');
   }
 
   /**
    * Update the connection status indicator
    * @param {string} status - Status class ('connecting', 'connected', 'disconnected')
-   * @param {string} text - Status text to display
+   * @param {string} text - UI string key of the status text
    */
   updateConnectionStatus(status, text) {
     // Schedule the update to ensure DOM is ready
@@ -334,7 +485,8 @@ export class MultiplayerGame {
         // Update the status text
         const textElement = statusElement.querySelector('.status-text');
         if (textElement) {
-          textElement.textContent = text;
+          textElement.dataset.i18n = text;
+          textElement.textContent = t(text);
         }
       } else {
         console.warn('Connection status element not found in the DOM');
@@ -348,7 +500,7 @@ export class MultiplayerGame {
    */
   createRoom(roomData) {
     if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
-      this.ui.showToast('Not connected to server. Please try again.', 'error');
+      this.ui.showToast(t('notConnected'), 'error');
       return;
     }
     
@@ -361,7 +513,7 @@ export class MultiplayerGame {
    */
   joinRoom(joinData) {
     if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
-      this.ui.showToast('Not connected to server. Please try again.', 'error');
+      this.ui.showToast(t('notConnected'), 'error');
       return;
     }
     
@@ -376,7 +528,7 @@ export class MultiplayerGame {
     this.isReady = isReady;
     
     if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
-      this.ui.showToast('Not connected to server. Please try again.', 'error');
+      this.ui.showToast(t('notConnected'), 'error');
       return;
     }
     
@@ -405,6 +557,7 @@ export class MultiplayerGame {
     console.log('Starting multiplayer game with room data:', room);
     
     // Create players from room data
+    this.players.forEach(player => this.engine.removePlayer(player.id));
     this.players = [];
     room.players.forEach(playerData => {
       const player = new MultiplayerPlayer({
@@ -418,34 +571,34 @@ export class MultiplayerGame {
       });
       
       this.players.push(player);
+      this.engine.addPlayer(player.state);
     });
     
     // Get current player (for easier access)
     this.currentPlayer = this.players.find(p => p.id === this.playerId);
     
     // Initialize board with the room's board data
-    this.board.init(room.gameState.board);
-    
-    // Update current target
-    this.currentTarget = room.gameState.currentTarget;
+    this.engine.configure({
+      rows: room.gameState.rows,
+      cols: room.gameState.cols,
+      edges: room.gameState.edges
+    });
+    this.engine.setup(room.gameState.board, room.gameState.seed, room.gameState.targets);
+    this.engine.start();
+    this.engine.applyState(room.gameState);
     
     // Set player positions on the board
     this.players.forEach(player => {
-      const buttons = this.board.getAllButtons();
-      if (buttons && buttons.length > 0) {
-        const buttonIndex = player.positionIndex - 1;
-        if (buttonIndex >= 0 && buttonIndex < buttons.length) {
-          console.log(`Setting player ${player.name} (${player.index}) at position ${player.positionIndex}`);
-          buttons[buttonIndex].classList.add(player.getPositionClass());
-        } else {
-          console.error(`Invalid position for player ${player.name}: ${player.positionIndex}`);
-        }
-      }
+      console.log(`Setting player ${player.name} (${player.index}) at position ${player.positionIndex}`);
+      this.board.setPlayerPosition(player.index, null, player.positionIndex);
     });
     
     // Bind event listeners for player movement
     this.bindKeyListeners();
     
+    this.match = { startedAt: Date.now(), finds: [] };
+    this.recorder.start(this.engine, this.players);
+    
     // Show the game UI
     this.ui.showGameScreen(this.players, this.currentTarget);
   }
@@ -471,16 +624,16 @@ export class MultiplayerGame {
       console.log(`Key pressed: ${key}`);
       
       if (key === player.controls.up) {
-        direction = -10; // Up
+        direction = 'up';
         console.log('Moving up');
       } else if (key === player.controls.right) {
-        direction = 1;   // Right
+        direction = 'right';
         console.log('Moving right');
       } else if (key === player.controls.down) {
-        direction = 10;  // Down
+        direction = 'down';
         console.log('Moving down');
       } else if (key === player.controls.left) {
-        direction = -1;  // Left
+        direction = 'left';
         console.log('Moving left');
       } else if (key === player.controls.confirm) {
         // Handle confirm action
@@ -510,22 +663,16 @@ export class MultiplayerGame {
     
     console.log(`Player ${player.name} confirming selection at position ${player.positionIndex}`);
     
-    const buttons = this.board.getAllButtons();
-    const buttonIndex = player.positionIndex - 1;
-    
-    if (buttonIndex < 0 || buttonIndex >= buttons.length) {
+    if (!this.engine.isValidPosition(player.positionIndex)) {
       console.error(`Invalid position for confirmation: ${player.positionIndex}`);
       return;
     }
     
-    const currentButton = buttons[buttonIndex];
-    if (!currentButton) {
-      console.error(`Button not found at position ${player.positionIndex}`);
-      return;
-    }
+    // The server must know where we are before judging the confirm
+    this.flushMove();
     
-    // Check if the button has the current target number
-    const buttonValue = parseInt(currentButton.innerHTML, 10);
+    // The server decides whether this is the target
+    const buttonValue = this.engine.getNumberAt(player.positionIndex);
     console.log(`Checking button value ${buttonValue} against target ${this.currentTarget}`);
     
     // Send the confirmation to the server
@@ -543,7 +690,7 @@ export class MultiplayerGame {
 
   /**
    * Move the current player
-   * @param {number} direction - Direction to move
+   * @param {string} direction - Direction to move ('up', 'right', 'down' or 'left')
    */
   movePlayer(direction) {
     // Only the current player can be moved by the client
@@ -556,12 +703,64 @@ export class MultiplayerGame {
     console.log(`Moving player ${player.name} in direction ${direction}`);
     
     // Preview the move locally for immediate feedback
-    const buttons = this.board.getAllButtons();
-    player.move(direction, buttons);
+    if (this.engine.move(player.id, direction) === null) return;
+    
+    this.queueMove();
+  }
+
+  /**
+   * Handle a tap or click on a cell
+   * @param {number} position - Tapped position (1-based)
+   */
+  handleTap(position) {
+    const player = this.currentPlayer;
+    if (!this.gameRunning || !player) return;
+    
+    // In swipe mode a tap only confirms where the cursor already is
+    if (this.settings.get('touchMode') === 'tap' && position !== player.positionIndex) {
+      this.engine.moveTo(player.id, position);
+      this.queueMove();
+    }
+    this.confirmSelection();
+  }
+
+  /**
+   * Send our position to the server, at most once per MOVE_THROTTLE
+   */
+  queueMove() {
+    if (this.pendingMoveTimer !== null) return;
+    
+    const wait = this.lastMoveSentAt + MOVE_THROTTLE - Date.now();
+    if (wait <= 0) {
+      this.sendMove();
+    } else {
+      // The latest position is read when the timer fires
+      this.pendingMoveTimer = setTimeout(() => this.sendMove(), wait);
+    }
+  }
+
+  /**
+   * Send a queued move right away (e.g. before a confirm)
+   */
+  flushMove() {
+    if (this.pendingMoveTimer !== null) {
+      this.sendMove();
+    }
+  }
+
+  /**
+   * Send our current position to the server
+   */
+  sendMove() {
+    clearTimeout(this.pendingMoveTimer);
+    this.pendingMoveTimer = null;
+    this.lastMoveSentAt = Date.now();
+    
+    const player = this.currentPlayer;
+    if (!player) return;
     
-    // Send the move to the server
     if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-      console.log(`Sending move to server: player=${player.id}, direction=${direction}`);
+      console.log(`Sending move to server: player=${player.id}, position=${player.positionIndex}`);
       this.sendMessage('player_move', {
         roomCode: this.roomCode,
         playerId: this.playerId,
@@ -581,37 +780,25 @@ export class MultiplayerGame {
     console.log('Updating game state:', room.gameState);
     console.log('Last move:', lastMove);
     
-    // Update current target if it changed
-    if (room.gameState.currentTarget !== this.currentTarget) {
-      console.log(`Target updated from ${this.currentTarget} to ${room.gameState.currentTarget}`);
-      this.currentTarget = room.gameState.currentTarget;
-      this.ui.updateTarget(this.currentTarget);
-    }
+    // Record the update before the mirror applies it (the recorder diffs the cells itself)
+    this.recorder.recordUpdate(room, lastMove);
+    
+    // Mirror cell ownership and the current target
+    this.engine.applyState(room.gameState);
     
-    // Update player positions and scores
+    // Update positions of the other players (ours is predicted locally)
     room.players.forEach(serverPlayer => {
       const player = this.players.find(p => p.id === serverPlayer.id);
       if (!player) return;
       
-      // Update position if changed for other players
       if (player.id !== this.playerId && player.positionIndex !== serverPlayer.position) {
-        player.updatePosition(serverPlayer.position, this.board.getAllButtons());
+        this.engine.setPosition(player.id, serverPlayer.position);
       }
       
-      // Update score for all players, including the current player
-      if (player.score !== serverPlayer.score) {
-        player.score = serverPlayer.score;
-        console.log(`Player ${player.name} score updated to ${player.score}`);
-        
-        // Update score display if available
-        const scoreElement = document.getElementById(`player-score-${player.id}`);
-        if (scoreElement) {
-          const scoreValueElement = scoreElement.querySelector('.player-score-value');
-          if (scoreValueElement) {
-            scoreValueElement.textContent = player.score || 0;
-          }
-        }
-      }
+      // Power, saves and stolen are counted by the server's rules
+      player.state.power = serverPlayer.power ?? 0;
+      player.state.saves = serverPlayer.saves ?? 0;
+      player.state.stolen = serverPlayer.stolen ?? 0;
     });
     
     // Handle target found in the last move
@@ -619,34 +806,62 @@ export class MultiplayerGame {
     if (lastMove && lastMove.targetFound && lastMove.type === 'confirm') {
       const player = this.players.find(p => p.id === lastMove.playerId);
       if (player) {
-        console.log(`Player ${player.name} found the target ${this.currentTarget-1}`);
+        console.log(`Player ${player.name} found the target ${lastMove.target}`);
+        this.match?.finds.push({ playerId: player.id, player: player.name, target: lastMove.target, time: Date.now() - this.match.startedAt });
         
         // Add visual feedback for target found
-        const buttons = this.board.getAllButtons();
-        const foundButton = buttons.find(btn => parseInt(btn.innerHTML, 10) === this.currentTarget - 1);
-        if (foundButton) {
-          foundButton.classList.add(player.getFoundClass());
-          
-          // Only add animation if it's a recent find
-          if (player.id === lastMove.playerId) {
-            player.addFoundAnimation(foundButton);
-          }
-        }
+        this.board.highlight(lastMove.position);
       }
     }
     
-    // Check if the game is over (target reached 100)
-    if (room.gameState.currentTarget > 100) {
-      this.gameRunning = false;
-      this.ui.showGameOver(room.players);
+    // Animate steals, recoveries and saves
+    if (lastMove && lastMove.type === 'confirm') {
+      this.showRuleOutcome(lastMove);
     }
     
-    // Check if any player has a score higher than 50
-    const playerWithHighScore = room.players.find(player => player.score > 50);
-    if (playerWithHighScore && this.gameRunning) {
-      console.log(`Game over: Player ${playerWithHighScore.name} has score higher than 50`);
+    // Check if the game is over: the last target passed, or someone owns more than half of them
+    if (this.engine.isOver() && this.gameRunning) {
       this.gameRunning = false;
       this.ui.showGameOver(room.players);
+      this.recordMatch(room);
+    }
+  }
+
+  /**
+   * Store the game that just ended in the match history (once per game)
+   * @param {object} room - Room data with the final stats
+   */
+  recordMatch(room) {
+    if (!this.match) return;
+    
+    const record = createMatchRecord({
+      mode: 'online',
+      seed: room.gameState.seed,
+      language: this.settings.get('language'),
+      startedAt: this.match.startedAt,
+      players: room.players,
+      finds: this.match.finds,
+      replay: this.recorder.stop()
+    });
+    this.match = null;
+    this.history.add(record);
+  }
+
+  /**
+   * Show what the steal/recover/save rules made of a confirm
+   * @param {object} lastMove - Confirm info from game_update (outcome, stolenPosition, victimId)
+   */
+  showRuleOutcome(lastMove) {
+    const player = this.players.find(p => p.id === lastMove.playerId);
+    const victim = this.players.find(p => p.id === lastMove.victimId);
+    if (!player) return;
+    
+    if (lastMove.outcome === 'found' && lastMove.stolenPosition) {
+      this.ui.showSteal(player, victim, lastMove.stolenPosition);
+    } else if (lastMove.outcome === 'recovered') {
+      this.ui.showRecover(player, lastMove.position);
+    } else if (lastMove.outcome === 'saved') {
+      this.ui.showSave(player, victim, lastMove.position);
     }
   }
 
@@ -665,7 +880,6 @@ export class MultiplayerGame {
   reset() {
     // Reset game state
     this.gameRunning = false;
-    this.currentTarget = 1;
     this.players = [];
     
     // Return to the menu
@@ -677,10 +891,10 @@ export class MultiplayerGame {
    */
   reconnectToServer() {
     // Update UI to show connecting status
-    this.updateConnectionStatus('connecting', 'Reconnecting...');
+    this.updateConnectionStatus('connecting', 'reconnecting');
     
     if (this.ui) {
-      this.ui.showToast('Attempting to reconnect to server...', '');
+      this.ui.showToast(t('reconnectingToast'), '');
     }
     
     // Clear any existing socket
@@ -710,7 +924,8 @@ export class MultiplayerGame {
           // Send message to server to rejoin the room
           this.sendMessage('rejoin_room', {
             roomCode: this.roomCode,
-            playerId: this.playerId
+            playerId: this.playerId,
+            rejoinToken: this.rejoinToken
           });
         }
       }, 1000);
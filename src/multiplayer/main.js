@@ -1,13 +1,20 @@
 import { MultiplayerGame } from './game.js';
+import { t } from '../utils/translator.js';
 
 // Initialize when DOM is fully loaded
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('DOM loaded, initializing multiplayer game...');
   
+  // Create the multiplayer game instance
+  const game = new MultiplayerGame();
+  
+  // Initialize the game (this also picks the interface language)
+  game.init();
+  
   // Show loading indicator
   const loadingIndicator = document.createElement('div');
   loadingIndicator.id = 'loading-indicator';
-  loadingIndicator.textContent = 'Connecting to server...';
+  loadingIndicator.textContent = t('connectingToServer');
   loadingIndicator.style.position = 'fixed';
   loadingIndicator.style.top = '20px';
   loadingIndicator.style.left = '50%';
@@ -19,12 +26,6 @@ document.addEventListener('DOMContentLoaded', async () => {
   loadingIndicator.style.zIndex = '9999';
   document.body.appendChild(loadingIndicator);
   
-  // Create the multiplayer game instance
-  const game = new MultiplayerGame();
-  
-  // Initialize the game
-  game.init();
-  
   // Hide loading indicator after a delay
   setTimeout(() => {
     if (document.body.contains(loadingIndicator)) {
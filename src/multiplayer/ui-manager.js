@@ -1,4 +1,10 @@
-import { Translator } from '../utils/translator.js';
+import { Translator, t } from '../utils/translator.js';
+import { loadStored, saveStored } from '../utils/storage.js';
+
+/**
+ * Storage key for the name and controls used last time
+ */
+const PROFILE_STORAGE_KEY = 'multiplayer-profile';
 
 /**
  * UI Manager for the multiplayer game
@@ -29,6 +35,9 @@ export class MultiplayerUIManager {
     // Cache UI elements
     this.cacheElements();
     
+    // Fill the forms with the last name and controls
+    this.loadProfile();
+    
     // Bind menu events
     this.bindMenuEvents();
   }
@@ -41,12 +50,17 @@ export class MultiplayerUIManager {
     this.elements.multiplayerMenu = document.getElementById('multiplayer-menu');
     this.elements.createRoomBtn = document.getElementById('create-room-btn');
     this.elements.joinRoomBtn = document.getElementById('join-room-btn');
+    this.elements.serverForm = document.getElementById('server-form');
+    this.elements.serverUrl = document.getElementById('server-url');
     
     // Create room form elements
     this.elements.createRoomForm = document.getElementById('create-room-form');
     this.elements.createRoomFormElement = document.getElementById('create-room-form-element');
     this.elements.playerName = document.getElementById('player-name');
     this.elements.maxPlayers = document.getElementById('max-players');
+    this.elements.boardSize = document.getElementById('board-size');
+    this.elements.edges = document.getElementById('edges');
+    this.elements.victimRule = document.getElementById('victim-rule');
     this.elements.controlInputs = {
       up: document.getElementById('control-up'),
       right: document.getElementById('control-right'),
@@ -114,6 +128,16 @@ export class MultiplayerUIManager {
       this.showJoinRoomForm();
     });
     
+    // Server selection
+    if (this.elements.serverForm) {
+      this.elements.serverUrl.value = this.game.serverUrl || '';
+      this.elements.serverForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.game.setServerUrl(this.elements.serverUrl.value);
+        this.elements.serverUrl.value = this.game.serverUrl;
+      });
+    }
+    
     // Bind form events
     this.bindCreateRoomEvents();
     this.bindJoinRoomEvents();
@@ -136,6 +160,14 @@ export class MultiplayerUIManager {
       // Gather form data
       const playerName = this.elements.playerName.value.trim();
       const maxPlayers = parseInt(this.elements.maxPlayers.value);
+      const [rows, cols] = this.elements.boardSize.value.split('x').map(n => parseInt(n, 10));
+      const edges = this.elements.edges.value;
+      const range = this.game.settings.getNumberRange();
+      const sequence = this.game.settings.getSequence();
+      const victimRule = this.elements.victimRule?.value;
+      
+      // A ?seed= in the page URL makes the room play that board
+      const seed = new URLSearchParams(window.location.search).get('seed');
       
       // Get controls
       const controls = {
@@ -146,10 +178,19 @@ export class MultiplayerUIManager {
         confirm: this.elements.controlInputs.confirm.value
       };
       
+      this.saveProfile(playerName, controls);
+      
       // Create the room
       this.game.createRoom({
         playerName,
         maxPlayers,
+        rows,
+        cols,
+        edges,
+        range,
+        sequence,
+        seed,
+        victimRule,
         controls
       });
       
@@ -189,6 +230,8 @@ export class MultiplayerUIManager {
         confirm: this.elements.joinControlInputs.confirm.value
       };
       
+      this.saveProfile(playerName, controls);
+      
       // Join the room
       this.game.joinRoom({
         roomCode,
@@ -221,7 +264,8 @@ export class MultiplayerUIManager {
       this.game.setReady(isReady);
       
       // Update button text
-      this.elements.readyBtn.textContent = isReady ? 'Not Ready' : 'Ready';
+      this.elements.readyBtn.dataset.i18n = isReady ? 'notReady' : 'ready';
+      this.elements.readyBtn.textContent = t(this.elements.readyBtn.dataset.i18n);
       this.elements.readyBtn.classList.toggle('primary-btn', !isReady);
       this.elements.readyBtn.classList.toggle('cancel-btn', isReady);
     });
@@ -236,10 +280,10 @@ export class MultiplayerUIManager {
       const roomCode = this.elements.displayRoomCode.textContent;
       navigator.clipboard.writeText(roomCode)
         .then(() => {
-          this.showToast('Room code copied to clipboard', 'success');
+          this.showToast(t('roomCodeCopied'), 'success');
         })
         .catch(() => {
-          this.showToast('Failed to copy room code', 'error');
+          this.showToast(t('roomCodeCopyFailed'), 'error');
         });
     });
   }
@@ -288,7 +332,7 @@ export class MultiplayerUIManager {
     // Function to start customizing a control
     const startCustomizing = (inputElement, controlName) => {
       currentControl = { element: inputElement, name: controlName };
-      inputElement.value = 'Press a key...';
+      inputElement.value = t('pressAKey');
       inputElement.classList.add('customizing');
     };
     
@@ -322,13 +366,43 @@ export class MultiplayerUIManager {
     });
   }
 
+  /**
+   * Fill both room forms with the saved name and controls
+   */
+  loadProfile() {
+    const profile = loadStored(PROFILE_STORAGE_KEY);
+    if (!profile) return;
+    
+    if (profile.playerName) {
+      this.elements.playerName.value = profile.playerName;
+      this.elements.joinPlayerName.value = profile.playerName;
+    }
+    
+    [this.elements.controlInputs, this.elements.joinControlInputs].forEach(inputs => {
+      Object.entries(inputs).forEach(([action, input]) => {
+        if (input && profile.controls?.[action]) {
+          input.value = profile.controls[action];
+        }
+      });
+    });
+  }
+
+  /**
+   * Remember the name and controls for the next session
+   * @param {string} playerName - Player name
+   * @param {Object} controls - Player controls
+   */
+  saveProfile(playerName, controls) {
+    saveStored(PROFILE_STORAGE_KEY, { playerName, controls });
+  }
+
   /**
    * Show the create room form
    */
   showCreateRoomForm() {
     // Verify socket connection first
     if (!this.game.socket || this.game.socket.readyState !== WebSocket.OPEN) {
-      this.showToast('Not connected to server. Please refresh the page.', 'error');
+      this.showToast(t('notConnectedRefresh'), 'error');
       return;
     }
     
@@ -341,7 +415,7 @@ export class MultiplayerUIManager {
   showJoinRoomForm() {
     // Verify socket connection first
     if (!this.game.socket || this.game.socket.readyState !== WebSocket.OPEN) {
-      this.showToast('Not connected to server. Please refresh the page.', 'error');
+      this.showToast(t('notConnectedRefresh'), 'error');
       return;
     }
     
@@ -404,12 +478,12 @@ export class MultiplayerUIManager {
       // Player name
       const playerName = document.createElement('div');
       playerName.className = 'player-name';
-      playerName.textContent = `${player.name}${isCurrentPlayer ? ' (You)' : ''}${isHost ? ' (Host)' : ''}`;
+      playerName.textContent = `${player.name}${isCurrentPlayer ? ` ${t('you')}` : ''}${isHost ? ` ${t('host')}` : ''}`;
       
       // Player status
       const playerStatus = document.createElement('div');
       playerStatus.className = `player-status ${player.isReady ? 'status-ready' : 'status-waiting'}`;
-      playerStatus.textContent = player.isReady ? 'Ready' : 'Waiting';
+      playerStatus.textContent = player.isReady ? t('ready') : t('waiting');
       
       // Add elements to card
       playerCard.appendChild(playerAvatar);
@@ -457,7 +531,7 @@ export class MultiplayerUIManager {
       if (count > 0) {
         countdownNumber.textContent = count.toString();
       } else if (count === 0) {
-        countdownNumber.textContent = 'Go!';
+        countdownNumber.textContent = t('go');
       } else {
         clearInterval(countdownInterval);
         document.body.removeChild(countdownOverlay);
@@ -521,7 +595,7 @@ export class MultiplayerUIManager {
       // Score
       const scoreValue = document.createElement('span');
       scoreValue.className = 'player-score-value';
-      scoreValue.textContent = '0';
+      scoreValue.textContent = player.score || 0;
       
       // Add elements to score container
       scoreElement.appendChild(indicator);
@@ -539,6 +613,20 @@ export class MultiplayerUIManager {
     });
   }
 
+  /**
+   * Update the score values in the game header
+   * @param {array} players - Player states (id and score)
+   */
+  updateScores(players) {
+    players.forEach(player => {
+      const scoreElement = document.getElementById(`player-score-${player.id}`);
+      const scoreValueElement = scoreElement?.querySelector('.player-score-value');
+      if (scoreValueElement) {
+        scoreValueElement.textContent = player.score || 0;
+      }
+    });
+  }
+
   /**
    * Update the target display
    * @param {number} target - The new target number
@@ -553,6 +641,73 @@ export class MultiplayerUIManager {
     this.elements.currentTarget.textContent = translatedWord;
   }
 
+  /**
+   * Animate a power stealing a cell: the cell flashes and the victim's score drops
+   * @param {MultiplayerPlayer} thief - Player whose streak stole the cell
+   * @param {MultiplayerPlayer} victim - Player who lost it (undefined if they left)
+   * @param {number} position - Stolen cell (1-based)
+   */
+  showSteal(thief, victim, position) {
+    this.flashCell(position, 'steal-flash');
+    if (victim) this.flashScore(victim.id, 'score-loss');
+    this.flashScore(thief.id, 'score-power');
+    this.showToast(t('stoleFrom', { thief: thief.name, victim: victim?.name ?? '?' }), thief.isCurrentPlayer ? 'success' : 'error');
+  }
+
+  /**
+   * Animate a thief confirming a cell it stole, which makes it theirs
+   * @param {MultiplayerPlayer} player - The thief
+   * @param {number} position - Recovered cell (1-based)
+   */
+  showRecover(player, position) {
+    this.flashCell(position, 'recover-flash');
+    this.flashScore(player.id, 'score-gain');
+    this.showToast(t('recoveredCell', { player: player.name }));
+  }
+
+  /**
+   * Animate a player taking a stolen cell before the thief could
+   * @param {MultiplayerPlayer} saver - Player who saved the cell
+   * @param {MultiplayerPlayer} thief - Player who had stolen it (undefined if they left)
+   * @param {number} position - Saved cell (1-based)
+   */
+  showSave(saver, thief, position) {
+    this.flashCell(position, 'save-flash');
+    this.flashScore(saver.id, 'score-gain');
+    this.showToast(t('savedCell', { player: saver.name, thief: thief?.name ?? '?' }), saver.isCurrentPlayer ? 'success' : '');
+  }
+
+  /**
+   * Play a one-off animation on a board cell
+   * @param {number} position - Cell (1-based)
+   * @param {string} className - Animation class (see multiplayer.css)
+   */
+  flashCell(position, className) {
+    const button = this.game.board.getButtonAt(position);
+    if (!button) return;
+    
+    // Restart the animation if it is still running
+    button.classList.remove(className);
+    void button.offsetWidth;
+    button.classList.add(className);
+    setTimeout(() => button.classList.remove(className), 1200);
+  }
+
+  /**
+   * Play a one-off animation on a player's score in the header
+   * @param {string} playerId - Player ID
+   * @param {string} className - Animation class (see multiplayer.css)
+   */
+  flashScore(playerId, className) {
+    const scoreElement = document.getElementById(`player-score-${playerId}`);
+    if (!scoreElement) return;
+    
+    scoreElement.classList.remove(className);
+    void scoreElement.offsetWidth;
+    scoreElement.classList.add(className);
+    setTimeout(() => scoreElement.classList.remove(className), 1200);
+  }
+
   /**
    * Show the game over screen
    * @param {array} players - Array of players with final scores
@@ -587,8 +742,14 @@ export class MultiplayerUIManager {
       const playerName = document.createElement('span');
       playerName.textContent = player.name;
       
+      // Power, saves and cells stolen back
+      const stats = document.createElement('span');
+      stats.className = 'result-stats';
+      stats.textContent = `${t('power')} ${player.power ?? 0} · ${t('saves')} ${player.saves ?? 0} · ${t('stolen')} ${player.stolen ?? 0}`;
+      
       playerInfo.appendChild(indicator);
       playerInfo.appendChild(playerName);
+      playerInfo.appendChild(stats);
       
       // Score
       const score = document.createElement('div');
@@ -0,0 +1,140 @@
+import { getLocale } from './locales.js';
+
+/**
+ * What the cells of a board can hold. The engine always deals numbers; for
+ * anything but 'numbers' a number is the place of an item in a list (1 is
+ * the first letter, syllable, word or picture), and BoardContent turns it
+ * into what is shown on the cell and read in the target.
+ */
+export const CONTENT_TYPES = ['numbers', 'letters', 'syllables', 'compoundSyllables', 'words', 'pictures'];
+
+/**
+ * Content used when none (or an unknown one) is given
+ */
+export const DEFAULT_CONTENT = 'numbers';
+
+/**
+ * Locale pack whose syllable sets are used for languages without their own
+ */
+const SYLLABLE_FALLBACK = 'kinyarwanda';
+
+/**
+ * Built-in pictures by name; locale packs give the word for each name
+ * (`pictures`), falling back to English
+ */
+export const PICTURES = {
+  dog: '🐶', cat: '🐱', cow: '🐄', goat: '🐐', chicken: '🐔', fish: '🐟', bird: '🐦', lion: '🦁',
+  elephant: '🐘', banana: '🍌', apple: '🍎', milk: '🥛', bread: '🍞', sun: '☀️', moon: '🌙', star: '⭐',
+  tree: '🌳', flower: '🌸', house: '🏠', car: '🚗', ball: '⚽', book: '📖', hand: '✋', eye: '👁️', water: '💧'
+};
+
+/**
+ * Read a comma-separated word list, e.g. from the custom words input
+ * @param {string} text - The list
+ * @returns {Array} Distinct words, in the order given
+ */
+export function parseWordList(text) {
+  const words = String(text).split(',').map(word => word.trim()).filter(Boolean);
+  return [...new Set(words)];
+}
+
+/**
+ * Content provider for a board: maps the engine's numbers to cell labels and
+ * target words for one content type and language
+ */
+export class BoardContent {
+  /**
+   * Create a new content provider
+   * @param {Object} config - Content configuration
+   * @param {string} config.type - One of CONTENT_TYPES
+   * @param {string} config.language - Locale pack ID
+   * @param {string} config.customWords - Comma-separated words to use instead of the pack's list (optional)
+   * @param {Translator} config.translator - Puts numbers into words
+   */
+  constructor(config = {}) {
+    this.type = CONTENT_TYPES.includes(config.type) ? config.type : DEFAULT_CONTENT;
+    this.language = config.language;
+    this.translator = config.translator;
+    this.items = this.type === 'numbers' ? [] : this.buildItems(config.customWords || '');
+  }
+
+  /**
+   * Whether the board shows plain numbers
+   * @returns {boolean} True for number boards
+   */
+  get isNumbers() {
+    return this.type === 'numbers';
+  }
+
+  /**
+   * Build the items of the content type, in the order they are found
+   * @param {string} customWords - Comma-separated custom words
+   * @returns {Array} Items as { label, word, picture }
+   */
+  buildItems(customWords) {
+    const locale = getLocale(this.language);
+
+    if (this.type === 'letters') {
+      return [...locale.alphabet].map(letter => ({ label: letter, word: letter }));
+    }
+
+    if (this.type === 'syllables' || this.type === 'compoundSyllables') {
+      const sets = locale.syllables || getLocale(SYLLABLE_FALLBACK).syllables || {};
+      const syllables = (this.type === 'syllables' ? sets.simple : sets.compound) || [];
+      return syllables.map(syllable => ({ label: syllable, word: syllable }));
+    }
+
+    if (this.type === 'words') {
+      const custom = parseWordList(customWords);
+      const words = custom.length > 0 ? custom : (locale.words || getLocale('english').words || []);
+      return words.map(word => ({ label: word, word }));
+    }
+
+    // Pictures: the cell shows the picture, the target names it
+    const english = getLocale('english').pictures;
+    return Object.entries(PICTURES).map(([name, picture]) => ({
+      label: picture,
+      word: locale.pictures[name] || english[name] || name,
+      picture: true
+    }));
+  }
+
+  /**
+   * Get the number range that deals one cell per item: with more items than
+   * cells a random selection is played, with fewer the spare cells stay blank
+   * @returns {string|null} Range spec such as "1-26", or null for number boards
+   */
+  getRange() {
+    if (this.isNumbers || this.items.length === 0) return null;
+    return `1-${this.items.length}`;
+  }
+
+  /**
+   * Get the words to show and read for a target
+   * @param {number} value - Board number
+   * @returns {string} Words, e.g. 'twelve', 'B' or 'dog'
+   */
+  getWord(value) {
+    if (this.isNumbers) {
+      return this.translator.translateNumber(value, this.language);
+    }
+    return this.items[value - 1]?.word ?? '';
+  }
+
+  /**
+   * Fill a board cell
+   * @param {HTMLElement} button - The cell
+   * @param {number} value - Board number
+   */
+  renderCell(button, value) {
+    if (this.isNumbers) {
+      button.textContent = value;
+      return;
+    }
+
+    const item = this.items[value - 1];
+    button.textContent = item ? item.label : '';
+    button.classList.toggle('blank', !item);
+    button.classList.toggle('picture', !!item?.picture);
+  }
+}
@@ -1,5 +1,6 @@
 /**
- * Unified Board class for both single-player and multiplayer functionality
+ * Unified Board class for both single-player and multiplayer functionality.
+ * Renders the state of a GameEngine onto the grid of buttons.
  */
 export class Board {
   /**
@@ -18,36 +19,65 @@ export class Board {
     this.buttons = [];
     this.numbers = [];
     this.isMultiplayer = !!config.isMultiplayer;
+    // BoardContent for letter, word, ... boards (null shows the numbers)
+    this.content = null;
   }
 
   /**
-   * Initialize the board
-   * @param {Array} numbers - Board numbers from server (only used in multiplayer mode)
+   * Change what the cells show (takes effect on the next setup)
+   * @param {BoardContent|null} content - Content provider, or null for plain numbers
    */
-  init(numbers = null) {
-    if (this.isMultiplayer && numbers) {
-      this.numbers = numbers;
-    } else {
-      this.generateRandomNumbers();
+  setContent(content) {
+    this.content = content;
+    if (this.container) {
+      // Lets the stylesheet size the cells for words and pictures
+      this.container.dataset.content = content ? content.type : 'numbers';
     }
-    this.createGrid();
   }
 
   /**
-   * Generate random numbers for the grid
-   * @param {number} min - Minimum number
-   * @param {number} max - Maximum number
-   * @returns {Array} Array of random numbers
+   * Render an engine: rebuild on setup, follow cell and position changes
+   * @param {GameEngine} engine - The game engine
+   * @returns {Function} Function that stops rendering the engine
    */
-  generateRandomNumbers(min = 1, max = 100) {
-    this.numbers = [];
-    while (this.numbers.length < this.totalCells) {
-      const randomNumber = Math.floor(Math.random() * (max - min + 1)) + min;
-      if (!this.numbers.includes(randomNumber)) {
-        this.numbers.push(randomNumber);
-      }
-    }
-    return this.numbers;
+  attach(engine) {
+    const listeners = [
+      engine.on('setup', ({ numbers, rows, cols }) => {
+        if (this.buttons.length > 0 && rows === this.rows && cols === this.cols) {
+          this.reset(numbers);
+        } else {
+          this.resize(rows, cols);
+          this.init(numbers);
+        }
+      }),
+      engine.on('cell', ({ position, foundBy, stolenBy }) => this.renderCell(position, foundBy, stolenBy)),
+      engine.on('move', ({ player, from, to }) => this.setPlayerPosition(player.index, from, to)),
+      engine.on('expire', ({ position, outcome }) => this.markExpired(position, outcome)),
+      engine.on('shuffle', ({ positions, numbers }) => this.updateCells(positions, numbers)),
+      engine.on('reveal', ({ positions, seconds }) => positions.forEach(position => this.mark(position, 'revealed', seconds))),
+      engine.on('block', ({ player, position, seconds }) => this.mark(position, `blocked-by-player${player.index}`, seconds))
+    ];
+    return () => listeners.forEach(off => off());
+  }
+
+  /**
+   * Change the grid dimensions (takes effect on the next init)
+   * @param {number} rows - Number of rows
+   * @param {number} cols - Number of columns
+   */
+  resize(rows, cols) {
+    this.rows = rows;
+    this.cols = cols;
+    this.totalCells = rows * cols;
+  }
+
+  /**
+   * Initialize the board
+   * @param {Array} numbers - Board numbers
+   */
+  init(numbers) {
+    this.numbers = numbers;
+    this.createGrid();
   }
 
   /**
@@ -60,13 +90,16 @@ export class Board {
     }
 
     this.container.innerHTML = '';
-    
+
+    // Tighten the cell spacing on big boards so they fit on screen
+    this.container.classList.toggle('compact', this.rows > 10 || this.cols > 12);
+
     // Create groups (rows)
     for (let i = 1; i <= this.rows; i++) {
       const group = document.createElement('div');
       group.id = `group${i}`;
       this.container.appendChild(group);
-      
+
       // Create buttons (cells)
       for (let j = 1; j <= this.cols; j++) {
         const button = document.createElement('button');
@@ -74,12 +107,10 @@ export class Board {
         group.appendChild(button);
       }
     }
-    
+
     // Get all buttons and set their text
     this.buttons = [...this.container.querySelectorAll('button.number')];
-    this.buttons.forEach((button, index) => {
-      button.innerHTML = this.numbers[index];
-    });
+    this.updateNumbers();
   }
 
   /**
@@ -100,53 +131,139 @@ export class Board {
   }
 
   /**
-   * Get elements found by a specific player
-   * @param {string} playerClass - CSS class for elements found by the player
-   * @returns {Array} Array of found elements
+   * Show who found or stole a cell
+   * @param {number} position - Position (1-based index)
+   * @param {Object|null} foundBy - Player state of the finder
+   * @param {Object|null} stolenBy - Player state of the thief
    */
-  getFoundByPlayer(playerClass) {
-    if (!playerClass) {
-      console.error('Invalid player class provided to getFoundByPlayer');
-      return [];
-    }
-    
-    try {
-      const elements = [...document.querySelectorAll(`.${playerClass}`)];
-      if (!this.isMultiplayer) {
-        console.log(`Found ${elements.length} elements with class ${playerClass}`);
+  renderCell(position, foundBy, stolenBy) {
+    const button = this.getButtonAt(position);
+    if (!button) return;
+
+    [...button.classList].forEach(className => {
+      if (className.startsWith('founded-by-player') || /^stolen\d+$/.test(className) || className === 'skipped') {
+        button.classList.remove(className);
       }
-      return elements;
-    } catch (error) {
-      console.error('Error in getFoundByPlayer:', error);
-      return [];
+    });
+
+    if (foundBy) button.classList.add(`founded-by-player${foundBy.index}`);
+    if (stolenBy) button.classList.add(`stolen${stolenBy.index}`);
+  }
+
+  /**
+   * Show that a target's time ran out
+   * @param {number} position - Position (1-based index)
+   * @param {string} outcome - 'skip', 'unclaimed' or 'penalty'
+   */
+  markExpired(position, outcome) {
+    const button = this.getButtonAt(position);
+    if (!button) return;
+
+    // Skipped numbers can still be found, the others are gone for good
+    button.classList.add(outcome === 'skip' ? 'skipped' : 'unclaimed');
+  }
+
+  /**
+   * Move a player's position marker
+   * @param {number} index - Player index
+   * @param {number|null} from - Previous position (1-based index)
+   * @param {number} to - New position (1-based index)
+   */
+  setPlayerPosition(index, from, to) {
+    const positionClass = `position-of-player${index}`;
+
+    const previous = from ? this.getButtonAt(from) : null;
+    if (previous) {
+      previous.classList.remove(positionClass);
+    }
+
+    const button = this.getButtonAt(to);
+    if (button) {
+      button.classList.add(positionClass);
+    } else {
+      console.error(`Invalid position for player ${index}: ${to}`);
     }
   }
 
+  /**
+   * Briefly highlight a cell (e.g. a target just found)
+   * @param {number} position - Position (1-based index)
+   */
+  highlight(position) {
+    const button = this.getButtonAt(position);
+    if (!button) return;
+
+    // Add a temporary highlight class
+    button.classList.add('found-highlight');
+
+    // Remove the class after animation completes
+    setTimeout(() => {
+      button.classList.remove('found-highlight');
+    }, 1000);
+  }
+
+  /**
+   * Mark a cell for a while (a revealed row, a blocked cell)
+   * @param {number} position - Position (1-based index)
+   * @param {string} className - Class to add
+   * @param {number} seconds - How long the mark stays
+   */
+  mark(position, className, seconds) {
+    const button = this.getButtonAt(position);
+    if (!button) return;
+
+    button.classList.add(className);
+    setTimeout(() => {
+      button.classList.remove(className);
+    }, seconds * 1000);
+  }
+
+  /**
+   * Show the new numbers of some cells (after a shuffle)
+   * @param {Array} positions - Positions (1-based) that changed
+   * @param {Array} numbers - All the board numbers
+   */
+  updateCells(positions, numbers) {
+    this.numbers = numbers;
+    positions.forEach(position => {
+      const button = this.getButtonAt(position);
+      if (!button) return;
+
+      if (this.content) {
+        this.content.renderCell(button, this.numbers[position - 1]);
+      } else {
+        button.innerHTML = this.numbers[position - 1];
+      }
+      button.classList.remove('shuffled');
+      void button.offsetWidth;
+      button.classList.add('shuffled');
+    });
+  }
+
   /**
    * Reset the board
-   * @param {Array} numbers - New numbers for the board (optional, used in multiplayer mode)
+   * @param {Array} numbers - New numbers for the board
    */
-  reset(numbers = null) {
+  reset(numbers) {
     this.buttons.forEach(button => {
       // Remove all game-related classes
       button.className = 'number dark-theme';
     });
-    
-    if (this.isMultiplayer && numbers) {
-      this.numbers = numbers;
-    } else {
-      this.generateRandomNumbers();
-    }
-    
+
+    this.numbers = numbers;
     this.updateNumbers();
   }
 
   /**
-   * Update the numbers on the board
+   * Update the numbers (or the content they stand for) on the board
    */
   updateNumbers() {
     this.buttons.forEach((button, index) => {
-      button.innerHTML = this.numbers[index];
+      if (this.content) {
+        this.content.renderCell(button, this.numbers[index]);
+      } else {
+        button.innerHTML = this.numbers[index];
+      }
     });
   }
 
@@ -157,7 +274,7 @@ export class Board {
   switchTheme(theme) {
     const themeClass = theme === 'dark' ? 'dark-theme' : 'white-theme';
     const oppositeClass = theme === 'dark' ? 'white-theme' : 'dark-theme';
-    
+
     this.buttons.forEach(button => {
       if (button.classList.contains(oppositeClass)) {
         button.classList.remove(oppositeClass);
@@ -165,4 +282,4 @@ export class Board {
       }
     });
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,203 @@
+import { DIRECTIONS } from '../engine/game-engine.js';
+
+/**
+ * How each CPU difficulty plays:
+ * - reaction: pause (ms) before heading for a new target
+ * - step: time (ms) between moves
+ * - optimal: chance a move follows the shortest path
+ * - mistake: chance to press confirm on the wrong cell
+ * - rescue: whether stolen cells are worth going for
+ */
+export const BOT_LEVELS = {
+  easy: { label: 'Easy', reaction: 1500, step: 450, optimal: 0.6, mistake: 0.15, rescue: false },
+  medium: { label: 'Medium', reaction: 800, step: 300, optimal: 0.8, mistake: 0.05, rescue: true },
+  hard: { label: 'Hard', reaction: 350, step: 180, optimal: 0.95, mistake: 0.01, rescue: true }
+};
+
+/**
+ * Computer opponent driving a Player through the same moves and confirms as
+ * the keyboard: it walks the shortest path to the current target (or a stolen
+ * cell worth recovering or saving) and presses confirm once it gets there.
+ */
+export class Bot {
+  /**
+   * Create a new bot
+   * @param {Object} config - Bot configuration
+   * @param {Player} config.player - The player the bot controls
+   * @param {GameEngine} config.engine - The game engine
+   * @param {string} config.level - One of the BOT_LEVELS keys
+   * @param {Function} config.move - Called with a direction to move the player
+   * @param {Function} config.confirm - Called to press confirm
+   * @param {Function} config.usePower - Called to press the power key (optional)
+   */
+  constructor(config) {
+    this.player = config.player;
+    this.engine = config.engine;
+    this.level = BOT_LEVELS[config.level] || BOT_LEVELS.medium;
+    this.move = config.move;
+    this.confirm = config.confirm;
+    this.usePower = config.usePower || (() => {});
+
+    this.timer = null;
+    this.running = false;
+    this.paused = false;
+    this.target = null;
+
+    this.step = this.step.bind(this);
+  }
+
+  /**
+   * Start playing
+   */
+  start() {
+    this.running = true;
+    this.target = this.engine.currentTarget;
+    this.schedule(this.level.reaction);
+  }
+
+  /**
+   * Stop playing for good
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Hold still while the game is paused
+   */
+  pause() {
+    this.paused = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Carry on after a pause
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.running) {
+      this.schedule(this.level.step);
+    }
+  }
+
+  /**
+   * Queue the next step
+   * @param {number} delay - Delay in ms
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    if (this.running && !this.paused) {
+      this.timer = setTimeout(this.step, delay);
+    }
+  }
+
+  /**
+   * Take one action: react to a new target, use a power, confirm, or move one cell
+   */
+  step() {
+    if (!this.running || !this.engine.running) return;
+
+    // A new target takes a moment to spot
+    if (this.engine.currentTarget !== this.target) {
+      this.target = this.engine.currentTarget;
+      this.schedule(this.level.reaction);
+      return;
+    }
+
+    // Powers are used as soon as they are earned
+    if (this.player.powerUps.length > 0) {
+      this.usePower();
+      this.schedule(this.level.step);
+      return;
+    }
+
+    const position = this.player.positionIndex;
+    const distances = this.getDistances(position);
+    const goal = this.chooseGoal(distances);
+
+    if (goal === position) {
+      this.confirm();
+    } else if (Math.random() < this.level.mistake) {
+      // Misread the board
+      this.confirm();
+    } else if (goal !== null) {
+      this.move(this.chooseDirection(position, goal));
+    }
+
+    this.schedule(this.level.step);
+  }
+
+  /**
+   * Pick the cell to head for: the nearest of the targets and, if the level
+   * allows it, the stolen cells that can be recovered or saved
+   * @param {Map} distances - Distances from the bot, from getDistances()
+   * @returns {number|null} Position (1-based), or null if there is nothing to do
+   */
+  chooseGoal(distances) {
+    const goals = [this.engine.currentTarget, ...this.engine.skippedTargets]
+      .map(number => this.engine.getPositionOf(number))
+      .filter(position => position > 0 && !this.engine.cells[position - 1].foundBy);
+
+    if (this.level.rescue) {
+      this.engine.cells.forEach((cell, i) => {
+        if (cell.stolenBy !== null) goals.push(i + 1);
+      });
+    }
+
+    let best = null;
+    goals.forEach(position => {
+      if (best === null || distances.get(position) < distances.get(best)) {
+        best = position;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Pick the next direction: usually along a shortest path, sometimes a detour
+   * @param {number} position - Current position (1-based)
+   * @param {number} goal - Goal position (1-based)
+   * @returns {string} One of DIRECTIONS
+   */
+  chooseDirection(position, goal) {
+    const moves = DIRECTIONS
+      .map(direction => ({ direction, next: this.engine.getNeighbour(position, direction) }))
+      .filter(({ next }) => next !== position);
+
+    if (Math.random() >= this.level.optimal) {
+      return moves[Math.floor(Math.random() * moves.length)].direction;
+    }
+
+    // Step to the neighbour closest to the goal
+    const fromGoal = this.getDistances(goal);
+    moves.sort((a, b) => fromGoal.get(a.next) - fromGoal.get(b.next));
+    return moves[0].direction;
+  }
+
+  /**
+   * Count the moves from a position to every cell, with the engine's edge rules
+   * @param {number} start - Start position (1-based)
+   * @returns {Map} Position -> number of moves
+   */
+  getDistances(start) {
+    const distances = new Map([[start, 0]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const position = queue.shift();
+      DIRECTIONS.forEach(direction => {
+        const next = this.engine.getNeighbour(position, direction);
+        if (!distances.has(next)) {
+          distances.set(next, distances.get(position) + 1);
+          queue.push(next);
+        }
+      });
+    }
+
+    return distances;
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Math-expression targets: instead of "Find: twelve" the header shows a sum,
+ * product, ... whose result is the target ("7 + 5", "3 × 4", "√144").
+ * An expression is a list of tokens: numbers and the symbols in OPERATORS.
+ */
+
+/**
+ * Difficulty tiers, as stored in the targetMode setting ('words' shows no expressions)
+ */
+export const MATH_TIERS = ['addition', 'times', 'mixed'];
+
+/**
+ * Operator symbols, with the UI string key used to read them aloud
+ */
+export const OPERATORS = {
+  '+': 'sayPlus',
+  '−': 'sayMinus',
+  '×': 'sayTimes',
+  '÷': 'sayDivided',
+  '√': 'sayRoot'
+};
+
+/**
+ * Largest factor in the times tables
+ */
+const TABLE_SIZE = 12;
+
+/**
+ * Largest target written as a square root (√400)
+ */
+const MAX_ROOT = 20;
+
+/**
+ * Pick a whole number in a range
+ * @param {number} min - Smallest number
+ * @param {number} max - Largest number
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {number} Number between min and max (inclusive)
+ */
+function randomInt(min, max, random) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * Pick one item
+ * @param {Array} items - Items to pick from
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {any} The item
+ */
+function pick(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Turn an expression for n into one for -n, e.g. 3 × 4 + 1 into (−3) × 4 − 1
+ * @param {Array} tokens - Expression whose first number is negated
+ * @returns {Array} Negated expression
+ */
+function negate(tokens) {
+  return tokens.map((token, i) => {
+    if (i === 0) return token === 0 ? 0 : -token;
+    if (token === '+') return '−';
+    if (token === '−') return '+';
+    return token;
+  });
+}
+
+/**
+ * Split a number into factor pairs from the times tables
+ * @param {number} target - Positive number
+ * @returns {Array} [a, b] pairs with a × b = target and both at most TABLE_SIZE
+ */
+function tablePairs(target) {
+  const pairs = [];
+  for (let a = 1; a <= TABLE_SIZE; a++) {
+    if (target % a === 0 && target / a <= TABLE_SIZE) {
+      pairs.push([a, target / a]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Write a number as a sum of two numbers: 7 + 5
+ * @param {number} target - The result
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {Array} Tokens
+ */
+function sum(target, random) {
+  if (target < 0) {
+    const [a, , b] = sum(-target, random);
+    return [a === 0 ? 0 : -a, '+', b === 0 ? 0 : -b];
+  }
+  const a = target >= 2 ? randomInt(1, target - 1, random) : randomInt(0, target, random);
+  return [a, '+', target - a];
+}
+
+/**
+ * Write a number as a product from the times tables (3 × 4), or as close to
+ * one as it gets: 7 × 14 + 3
+ * @param {number} target - The result
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {Array} Tokens
+ */
+function product(target, random) {
+  if (target < 0) return negate(product(-target, random));
+  if (target === 0) return [0, '×', randomInt(1, TABLE_SIZE, random)];
+
+  const pairs = tablePairs(target);
+  // 1 × n only for numbers that are in the tables no other way (the primes up to 12)
+  const withoutOne = pairs.filter(([a, b]) => a > 1 && b > 1);
+  if (pairs.length > 0) {
+    const [a, b] = pick(withoutOne.length > 0 ? withoutOne : pairs, random);
+    return [a, '×', b];
+  }
+
+  // Beyond the tables: one factor from them, the other as large as needed
+  const divisors = [];
+  for (let a = 2; a <= TABLE_SIZE; a++) {
+    if (target % a === 0) divisors.push(a);
+  }
+  if (divisors.length > 0) {
+    const a = pick(divisors, random);
+    return [a, '×', target / a];
+  }
+
+  const a = randomInt(2, TABLE_SIZE, random);
+  return [a, '×', Math.floor(target / a), '+', target % a];
+}
+
+/**
+ * Write a number any of several ways: 7 + 5, 15 − 3, 3 × 4, 36 ÷ 3 or √144
+ * @param {number} target - The result
+ * @param {Function} random - Random number generator in [0, 1)
+ * @returns {Array} Tokens
+ */
+function mixed(target, random) {
+  const makers = [
+    () => sum(target, random),
+    () => {
+      const b = randomInt(1, 20, random);
+      return [target + b, '−', b];
+    },
+    () => {
+      const d = randomInt(2, TABLE_SIZE, random);
+      return [target * d, '÷', d];
+    }
+  ];
+
+  // Only exact products, so nothing reads like a times-table drill with a remainder
+  if (target > 0 && tablePairs(target).some(([a, b]) => a > 1 && b > 1)) {
+    makers.push(() => product(target, random));
+  }
+  if (target >= 0 && target <= MAX_ROOT) {
+    makers.push(() => ['√', target * target]);
+  }
+
+  return pick(makers, random)();
+}
+
+/**
+ * Make an expression whose result is the target
+ * @param {number} target - The result
+ * @param {string} tier - One of MATH_TIERS
+ * @param {Function} random - Random number generator in [0, 1) (defaults to Math.random)
+ * @returns {Array} Tokens
+ */
+export function makeExpression(target, tier, random = Math.random) {
+  if (tier === 'times') return product(target, random);
+  if (tier === 'mixed') return mixed(target, random);
+  return sum(target, random);
+}
+
+/**
+ * Write an expression for the header, e.g. "7 + (−3)" or "√144"
+ * @param {Array} tokens - Expression from makeExpression
+ * @returns {string} Text
+ */
+export function formatExpression(tokens) {
+  return tokens.reduce((text, token, i) => {
+    if (token === '√') return `${text}√`;
+    if (typeof token !== 'number') return `${text} ${token} `;
+
+    const digits = token < 0 ? `−${-token}` : String(token);
+    return text + (token < 0 && i > 0 ? `(${digits})` : digits);
+  }, '');
+}
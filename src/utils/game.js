@@ -1,8 +1,27 @@
+import { GameEngine, DEFAULT_POWER_RULES } from '../engine/game-engine.js';
+import { createRandom, dailySeed } from '../engine/random.js';
+import { DEFAULT_RANGE, DEFAULT_SEQUENCE } from '../engine/sequences.js';
 import { Player } from './player.js';
 import { Board } from './board.js';
 import { Settings } from './settings.js';
-import { Translator } from './translator.js';
+import { Translator, t } from './translator.js';
+import { getLocale } from './locales.js';
 import { UIManager } from './ui-manager.js';
+import { TargetTimer } from './target-timer.js';
+import { Bot, BOT_LEVELS } from './bot.js';
+import { GamepadInput } from './gamepad-input.js';
+import { PointerInput } from './pointer-input.js';
+import { VoiceInput } from './voice-input.js';
+import { MATH_TIERS, makeExpression, formatExpression } from './expressions.js';
+import { BoardContent, DEFAULT_CONTENT } from './board-content.js';
+import { MatchHistory, createMatchRecord, matchesToJSON, matchesToCSV, downloadFile } from './match-history.js';
+import { ReplayRecorder } from '../engine/replay.js';
+import { ReplayViewer } from './replay-viewer.js';
+
+/**
+ * Colour of each local player slot (the number of slots is the most players)
+ */
+const PLAYER_COLORS = ['#008000', '#ffa500', '#ff0000', '#1e90ff'];
 
 /**
  * Main Game class to coordinate all game components
@@ -16,17 +35,83 @@ export class Game {
     this.settings = new Settings();
     this.ui = new UIManager();
     this.translator = new Translator();
+    this.engine = new GameEngine();
     this.board = new Board();
+    this.board.attach(this.engine);
+    // What the cells hold (numbers, letters, words, ...), set up in configureBoard
+    this.content = new BoardContent({ translator: this.translator });
+    this.targetTimer = new TargetTimer({
+      onTick: seconds => this.ui.updateTargetTimer(seconds),
+      onExpire: () => this.engine.expireTarget(this.settings.get('timeout'))
+    });
+    
+    this.gamepads = new GamepadInput({
+      onMove: (pad, direction) => this.handleGamepadMove(pad, direction),
+      onConfirm: pad => this.handleGamepadConfirm(pad),
+      onPower: pad => {
+        const player = this.getGamepadPlayer(pad);
+        if (player) this.usePlayerPower(player);
+      },
+      onChange: pads => this.ui.updateGamepadSelects(pads, this.settings.get('gamepads'))
+    });
+    
+    this.pointer = new PointerInput({
+      board: this.board,
+      onTap: position => this.handleTap(position),
+      onSwipe: direction => {
+        const player = this.getTouchPlayer();
+        if (player) this.movePlayer(player, direction);
+      }
+    });
     
-    // Game state
+    this.voice = new VoiceInput({
+      translator: this.translator,
+      getNumbers: () => this.engine.numbers,
+      getWords: () => (this.content.isNumbers ? null : value => this.content.getWord(value)),
+      onNumber: number => this.handleVoiceNumber(number),
+      onMove: direction => {
+        const player = this.getTouchPlayer();
+        if (player) this.movePlayer(player, direction);
+      },
+      onConfirm: () => {
+        const player = this.getTouchPlayer();
+        if (player) this.checkPlayerTarget(player, player.positionIndex);
+      }
+    });
+    
+    // Game state: every player slot, and the slots in play (see setPlayerCount)
+    this.slots = [];
     this.players = [];
-    this.currentTarget = 1;
+    this.bots = [];
     this.gameRunning = false;
     this.countdownIndex = 0;
     this.canOpenGame = false;
+    this.dailyChallenge = false;
+    
+    // Finished games, and the one being played ({ startedAt, finds })
+    this.history = new MatchHistory();
+    this.match = null;
+    
+    // Replay of the game being played, and the viewer for recorded ones
+    this.recorder = new ReplayRecorder();
+    this.recorder.attach(this.engine);
+    this.replayViewer = new ReplayViewer({
+      board: this.board,
+      ui: this.ui,
+      translator: this.translator,
+      onClose: () => {
+        // Back to the board and players the settings describe
+        this.configureBoard();
+        this.ui.setPlayerCount(this.players);
+      }
+    });
     
-    // Countdown levels
-    this.levels = [3, 2, 1, 'Go!'];
+    // Math expression shown for each target, made once per board (see getExpression)
+    this.expressions = new Map();
+    this.expressionRandom = Math.random;
+    
+    // Countdown levels (words are UI string keys)
+    this.levels = [3, 2, 1, 'go'];
     
     // Bind events to this instance
     this.handleKeyUp = this.handleKeyUp.bind(this);
@@ -34,6 +119,14 @@ export class Game {
     this.levelCountdown = this.levelCountdown.bind(this);
   }
 
+  /**
+   * Current target (owned by the engine)
+   * @returns {number} Current target
+   */
+  get currentTarget() {
+    return this.engine.currentTarget;
+  }
+
   /**
    * Initialize the game
    */
@@ -45,7 +138,43 @@ export class Game {
     this.createPlayers();
     
     // Initialize the board
-    this.board.init();
+    this.configureBoard();
+    this.settings.addListener((key, value) => {
+      if (['boardSize', 'edges', 'numberRange', 'customRange', 'sequence', 'multipleOf', 'content', 'customWords'].includes(key) && !this.gameRunning) {
+        this.configureBoard();
+      } else if (['powerUp', 'powerStreak', 'powerReset', 'stealCount'].includes(key) && !this.gameRunning && !this.dailyChallenge) {
+        this.engine.configure({ powerRules: this.settings.getPowerRules() });
+      } else if (key === 'playerCount') {
+        if (!this.gameRunning) {
+          this.setPlayerCount(this.settings.getPlayerCount());
+          this.configureBoard();
+        }
+      } else if (key === 'controls') {
+        this.slots.forEach((player, i) => player.updateControls(value[i]));
+        this.ui.setControlInputs(value);
+      } else if (key === 'playerNames') {
+        this.ui.setPlayerNames(value);
+      } else if (key === 'gamepads') {
+        this.ui.updateGamepadSelects(this.gamepads.getPads(), value);
+      } else if (key === 'language') {
+        this.updateVoiceSelect();
+        this.showHistory();
+        this.voice.setLanguage(value);
+        // Letters, syllables and words come from the language's pack
+        if (!this.content.isNumbers && !this.gameRunning) {
+          this.configureBoard();
+        }
+      } else if (key === 'voices') {
+        this.updateVoiceSelect();
+      } else if (key === 'voiceCommands') {
+        this.updateVoiceCommands();
+      } else if (key === 'playerTypes') {
+        value.forEach((type, i) => this.setPlayerType(i, type));
+      } else if (key === 'targetMode') {
+        // Make the expressions again in the new tier
+        this.expressions.clear();
+      }
+    });
     
     // Bind events
     this.bindEvents();
@@ -55,40 +184,147 @@ export class Game {
   }
 
   /**
-   * Create players
+   * Create a player for every slot and register the ones in play
    */
   createPlayers() {
-    // Create player 1
-    const player1 = new Player({
-      name: 'Player 1',
-      index: 1,
-      startPosition: 1,
-      color: '#008000',
-      controls: {
-        up: 'KeyW',
-        right: 'KeyD',
-        down: 'KeyS',
-        left: 'KeyA',
-        confirm: 'CapsLock'
+    const controls = this.settings.get('controls');
+    
+    this.slots = PLAYER_COLORS.map((color, i) => new Player({
+      name: t(`player${i + 1}`),
+      index: i + 1,
+      startPosition: this.engine.getStartPosition(i + 1),
+      color,
+      controls: { ...controls[i] }
+    }));
+    this.setPlayerCount(this.settings.getPlayerCount());
+    
+    // Bring back the names and key bindings of the last session
+    this.ui.setPlayerNames(this.settings.get('playerNames'));
+    this.ui.setControlInputs(controls);
+    this.settings.get('playerTypes').forEach((type, i) => this.setPlayerType(i, type));
+  }
+
+  /**
+   * Play with the first count slots: register them with the engine and
+   * show their names, scores and key bindings
+   * @param {number} count - Number of players (2 to 4)
+   */
+  setPlayerCount(count) {
+    if (this.gameRunning) return;
+    
+    this.players = this.slots.slice(0, count);
+    this.slots.forEach(player => {
+      const registered = !!this.engine.getPlayer(player.id);
+      if (this.players.includes(player) && !registered) {
+        this.engine.addPlayer(player.state);
+      } else if (!this.players.includes(player) && registered) {
+        this.engine.removePlayer(player.id);
       }
     });
     
-    // Create player 2
-    const player2 = new Player({
-      name: 'Player 2',
-      index: 2,
-      startPosition: 10,
-      color: '#ffa500',
-      controls: {
-        up: 'ArrowUp',
-        right: 'ArrowRight',
-        down: 'ArrowDown',
-        left: 'ArrowLeft',
-        confirm: 'Enter'
-      }
+    this.ui.setPlayerCount(this.players);
+  }
+
+  /**
+   * Switch a player slot between a human and a CPU level
+   * @param {number} slot - Slot index (0-based)
+   * @param {string} type - 'human' or one of the BOT_LEVELS keys
+   */
+  setPlayerType(slot, type) {
+    const player = this.slots[slot];
+    if (!player || this.gameRunning) return;
+    
+    const controller = BOT_LEVELS[type] ? type : 'human';
+    if (controller === 'human' && !player.isBot) return;
+    
+    player.controller = controller;
+    
+    if (player.isBot) {
+      player.name = t(`cpu${BOT_LEVELS[type].label}`);
+      player.setReady(true);
+      this.ui.setPlayerType(slot, player.controller, player.name);
+    } else {
+      player.name = t(`player${player.index}`);
+      player.setReady(false);
+      this.ui.setPlayerType(slot, 'human', this.settings.get('playerNames')[slot] || '');
+    }
+    
+    const types = this.slots.map(p => p.controller);
+    if (types.some((slotType, i) => slotType !== this.settings.get('playerTypes')[i])) {
+      this.settings.set('playerTypes', types);
+    }
+  }
+
+  /**
+   * Apply the board content, size, edge, number range and sequence settings and deal a new board
+   */
+  configureBoard() {
+    this.content = new BoardContent({
+      type: this.dailyChallenge ? DEFAULT_CONTENT : this.settings.get('content'),
+      language: this.settings.get('language'),
+      customWords: this.settings.get('customWords'),
+      translator: this.translator
     });
+    this.board.setContent(this.content);
+    
+    if (this.dailyChallenge) {
+      // Everyone gets the same layout, whatever their own board settings
+      this.engine.configure({
+        rows: 10,
+        cols: 10,
+        edges: 'wrap',
+        range: DEFAULT_RANGE,
+        sequence: DEFAULT_SEQUENCE,
+        powerRules: DEFAULT_POWER_RULES
+      });
+    } else {
+      const { rows, cols } = this.settings.getBoardSize();
+      this.engine.configure({
+        rows,
+        cols,
+        edges: this.settings.get('edges'),
+        // Letter, word, ... boards deal one number per item
+        range: this.content.getRange() ?? this.settings.getNumberRange(),
+        sequence: this.settings.getSequence(),
+        powerRules: this.settings.getPowerRules()
+      });
+    }
+    this.engine.setup(null, this.getBoardSeed());
     
-    this.players.push(player1, player2);
+    // Expressions follow the board seed, so a shared seed also shares the sums
+    this.expressions = new Map();
+    this.expressionRandom = createRandom(`${this.engine.seed}:math`);
+  }
+
+  /**
+   * Get the seed for the next board: today's Daily Challenge, ?seed= from
+   * the URL, or null for a fresh random board
+   * @returns {string|null} Seed
+   */
+  getBoardSeed() {
+    // Everyone gets the same daily board, whatever the address says
+    if (this.dailyChallenge) {
+      return dailySeed();
+    }
+    return new URLSearchParams(window.location.search).get('seed');
+  }
+
+  /**
+   * Switch to today's Daily Challenge board
+   */
+  startDailyChallenge() {
+    this.dailyChallenge = true;
+    this.configureBoard();
+  }
+
+  /**
+   * Switch back to a board dealt from the player's own settings (after a Daily Challenge)
+   */
+  startLocalGame() {
+    if (!this.dailyChallenge) return;
+
+    this.dailyChallenge = false;
+    this.configureBoard();
   }
 
   /**
@@ -98,19 +334,79 @@ export class Game {
     // Controller update events
     this.ui.bindControllerEvents(this.updateControllers);
     
-    // Player key events
-    this.players.forEach((player, index) => {
-      const opponent = this.players[index === 0 ? 1 : 0];
-      
+    // Player key events (slots out of play ignore their keys)
+    this.slots.forEach(player => {
+      const inPlay = () => !player.isBot && this.players.includes(player);
       this.ui.bindPlayerKeyEvents(
         player,
-        (direction, keyCode) => this.movePlayer(player, direction, keyCode),
-        (position) => this.checkPlayerTarget(player, opponent, position)
+        (direction, keyCode) => {
+          if (inPlay()) this.movePlayer(player, direction, keyCode);
+        },
+        (position) => {
+          if (inPlay()) this.checkPlayerTarget(player, position);
+        },
+        () => {
+          if (inPlay()) this.usePlayerPower(player);
+        }
       );
     });
     
-    // Pause event
-    this.ui.bindPauseEvent();
+    // Gamepads, assigned to players in the options screen
+    this.ui.bindGamepadSelects((slot, pad) => this.assignGamepad(slot, pad));
+    this.gamepads.start();
+    
+    // Touch and mouse on the board
+    this.pointer.bind();
+    
+    // Voice for reading the targets, per language
+    this.ui.bindVoiceSelect(voice => this.setVoice(voice));
+    this.translator.onVoicesChanged(() => this.updateVoiceSelect());
+    this.updateVoiceSelect();
+    
+    // Voice commands, for the same player as touch
+    this.voice.setLanguage(this.settings.get('language'));
+    this.ui.setVoiceCommandsAvailable(this.voice.available);
+    
+    // Human/CPU switch on the names screen
+    this.ui.bindPlayerTypeEvents((slot, type) => this.setPlayerType(slot, type));
+    
+    // Engine events
+    this.engine.on('target', ({ target }) => {
+      this.updateTarget(target);
+      this.startTargetTimer();
+    });
+    this.engine.on('score', () => this.updateScores());
+    this.engine.on('found', ({ player, target }) => this.recordFind(player, target));
+    this.engine.on('freeze', ({ victim, seconds }) => this.ui.showFrozen(victim, seconds));
+    this.engine.on('gameover', () => this.checkGameOver());
+    
+    // Reset to defaults
+    this.ui.bindResetSettings(() => this.settings.reset());
+    
+    // Play on the player's own settings, or today's Daily Challenge
+    this.ui.bindPlay(() => this.startLocalGame());
+    this.ui.bindDailyChallenge(() => this.startDailyChallenge());
+    
+    // History page
+    this.ui.bindHistoryEvents({
+      exportJSON: () => this.exportHistory('json'),
+      exportCSV: () => this.exportHistory('csv'),
+      watch: id => this.watchReplay(id),
+      clear: () => this.history.clear().then(() => this.showHistory())
+    });
+    this.showHistory();
+    
+    // Pause event (the target timer stops with the game)
+    this.ui.bindPauseEvent(paused => {
+      if (paused) {
+        this.targetTimer.pause();
+        this.bots.forEach(bot => bot.pause());
+      } else {
+        this.targetTimer.resume();
+        this.bots.forEach(bot => bot.resume());
+      }
+      this.updateVoiceCommands();
+    });
     
     // Ready event
     document.addEventListener('keyup', this.handleKeyUp);
@@ -121,41 +417,153 @@ export class Game {
    * @param {KeyboardEvent} event - The key event
    */
   handleKeyUp(event) {
-    const player1 = this.players[0];
-    const player2 = this.players[1];
+    if (this.replayViewer.isOpen) return;
+    
+    this.readyPlayers(this.players.map(player => event.code === player.controls.confirm));
+  }
 
+  /**
+   * Mark players ready once they have entered their names
+   * @param {Array} pressed - Whether each player pressed confirm
+   */
+  readyPlayers(pressed) {
     // Check if players have entered their names
     const playersName = this.ui.elements.playersName;
     const flipInputs = this.ui.elements.flipInputs;
     
     if (!playersName || !flipInputs) return;
     
-    // Make sure names are different and not empty
-    if (playersName[0].value.trim() !== playersName[1].value.trim()) {
-      // Player 1 ready
-      if (playersName[0].value.trim().length > 2) {
-        if (event.code === player1.controls.confirm) {
-          this.ui.elements.startInputs[0].value = playersName[0].value.trim();
-          player1.name = playersName[0].value.trim();
-          flipInputs[0].classList.add('ready');
-          player1.setReady(true);
-        }
-      }
-      
-      // Player 2 ready
-      if (playersName[1].value.trim().length > 2) {
-        if (event.code === player2.controls.confirm) {
-          this.ui.elements.startInputs[1].value = playersName[1].value.trim();
-          player2.name = playersName[1].value.trim();
-          flipInputs[1].classList.add('ready');
-          player2.setReady(true);
-        }
-      }
+    // With only CPU players the game can start as soon as the names screen is showing
+    if (this.players.every(player => player.isBot)) {
+      this.canOpenGame = this.ui.elements.names?.style.display === 'flex';
+      return;
+    }
+    
+    const names = this.players.map((player, i) => playersName[i].value.trim());
+    this.players.forEach((player, i) => {
+      // Names must be long enough and different from every other player's
+      const name = names[i];
+      const taken = names.some((other, j) => j !== i && other === name);
+      if (player.isBot || !pressed[i] || name.length <= 2 || taken) return;
       
-      // Both players ready
-      if (player1.isReady && player2.isReady) {
-        this.canOpenGame = true;
-      }
+      const startInput = this.ui.getStartInput(i);
+      if (startInput) startInput.value = name;
+      player.name = name;
+      flipInputs[i].classList.add('ready');
+      player.setReady(true);
+    });
+    
+    // Remember the names for the next session
+    const savedNames = this.settings.get('playerNames');
+    const readyNames = savedNames.map((saved, i) => {
+      const player = this.players[i];
+      return player && player.isReady && !player.isBot ? player.name : saved;
+    });
+    if (readyNames.some((name, i) => name !== savedNames[i])) {
+      this.settings.set('playerNames', readyNames);
+    }
+    
+    // Everyone ready
+    if (this.players.every(player => player.isReady)) {
+      this.canOpenGame = true;
+    }
+  }
+
+  /**
+   * Give a gamepad to a player slot (taking it away from the other slot)
+   * @param {number} slot - Slot index (0-based)
+   * @param {number|null} pad - Pad index, or null for none
+   */
+  assignGamepad(slot, pad) {
+    const assignments = this.settings.get('gamepads').map((assigned, i) => {
+      if (i === slot) return pad;
+      return assigned === pad ? null : assigned;
+    });
+    this.settings.set('gamepads', assignments);
+  }
+
+  /**
+   * Get the player a gamepad is assigned to
+   * @param {number} pad - Pad index
+   * @returns {Player|undefined} The player
+   */
+  getGamepadPlayer(pad) {
+    const player = this.players[this.settings.get('gamepads').indexOf(pad)];
+    return player && !player.isBot ? player : undefined;
+  }
+
+  /**
+   * Move the player holding a gamepad
+   * @param {number} pad - Pad index
+   * @param {string} direction - Direction to move
+   */
+  handleGamepadMove(pad, direction) {
+    const player = this.getGamepadPlayer(pad);
+    if (player) {
+      this.movePlayer(player, direction);
+    }
+  }
+
+  /**
+   * Confirm for the player holding a gamepad (or get them ready before the game)
+   * @param {number} pad - Pad index
+   */
+  handleGamepadConfirm(pad) {
+    const player = this.getGamepadPlayer(pad);
+    if (!player) return;
+    
+    if (this.gameRunning) {
+      this.checkPlayerTarget(player, player.positionIndex);
+    } else {
+      this.readyPlayers(this.players.map(p => p === player));
+    }
+  }
+
+  /**
+   * Get the player moved by touch and mouse: the first human player
+   * @returns {Player|undefined} The player
+   */
+  getTouchPlayer() {
+    return this.players.find(player => !player.isBot);
+  }
+
+  /**
+   * Handle a tap or click on a cell
+   * @param {number} position - Tapped position (1-based)
+   */
+  handleTap(position) {
+    const player = this.getTouchPlayer();
+    if (!player || !this.gameRunning) return;
+    
+    // In swipe mode a tap only confirms where the cursor already is
+    if (this.settings.get('touchMode') === 'tap' && position !== player.positionIndex) {
+      this.engine.moveTo(player.id, position);
+    }
+    this.checkPlayerTarget(player, player.positionIndex);
+  }
+
+  /**
+   * Handle a number said aloud: jump to it and confirm
+   * @param {number} number - The number
+   */
+  handleVoiceNumber(number) {
+    const player = this.getTouchPlayer();
+    const position = this.engine.getPositionOf(number);
+    if (!player || !this.gameRunning || position < 1) return;
+    
+    this.engine.moveTo(player.id, position);
+    this.checkPlayerTarget(player, position);
+  }
+
+  /**
+   * Listen for voice commands only while a game is running, unpaused, with the option on
+   */
+  updateVoiceCommands() {
+    const listen = this.settings.get('voiceCommands') === 'on' && this.gameRunning && !this.ui.isPaused();
+    if (listen) {
+      this.voice.start();
+    } else {
+      this.voice.stop();
     }
   }
 
@@ -181,31 +589,22 @@ export class Game {
    * Update controller settings based on UI inputs
    */
   updateControllers() {
-    const player1 = this.players[0];
-    const player2 = this.players[1];
-    
-    const inputs1 = this.ui.elements.optionInputs1;
-    const inputs2 = this.ui.elements.optionInputs2;
-    
-    if (inputs1 && inputs1.length >= 5) {
-      player1.updateControls({
-        up: inputs1[0].value,
-        right: inputs1[1].value,
-        down: inputs1[2].value,
-        left: inputs1[3].value,
-        confirm: inputs1[4].value
-      });
-    }
+    this.slots.forEach((player, i) => {
+      const inputs = this.ui.elements.controlInputs[i];
+      if (inputs && inputs.length >= 5) {
+        player.updateControls({
+          up: inputs[0].value,
+          right: inputs[1].value,
+          down: inputs[2].value,
+          left: inputs[3].value,
+          confirm: inputs[4].value,
+          power: inputs[5]?.value
+        });
+      }
+    });
     
-    if (inputs2 && inputs2.length >= 5) {
-      player2.updateControls({
-        up: inputs2[0].value,
-        right: inputs2[1].value,
-        down: inputs2[2].value,
-        left: inputs2[3].value,
-        confirm: inputs2[4].value
-      });
-    }
+    // Keep the bindings for the next session
+    this.settings.set('controls', this.slots.map(player => ({ ...player.controls })));
   }
 
   /**
@@ -216,52 +615,131 @@ export class Game {
     this.gameRunning = true;
     
     // Initialize player positions on the board
-    const buttons = this.board.getAllButtons();
     this.players.forEach(player => {
-      // Clear any previous positions
-      buttons.forEach(button => {
-        if (button.classList.contains(player.getPositionClass())) {
-          button.classList.remove(player.getPositionClass());
-        }
-      });
-      
-      // Set initial position
-      if (buttons[player.positionIndex - 1]) {
-        buttons[player.positionIndex - 1].classList.add(player.getPositionClass());
-      }
+      this.board.setPlayerPosition(player.index, null, player.positionIndex);
     });
     
     // Set the first target
-    this.updateTarget(1);
+    this.match = { startedAt: Date.now(), finds: [] };
+    this.recorder.start(this.engine, this.players, {
+      type: this.content.type,
+      language: this.content.language,
+      customWords: this.settings.get('customWords')
+    });
+    this.engine.start();
+    
+    // Let the computer play its slots
+    this.bots = this.players.filter(player => player.isBot).map(player => new Bot({
+      player,
+      engine: this.engine,
+      level: player.controller,
+      move: direction => this.movePlayer(player, direction),
+      confirm: () => this.checkPlayerTarget(player, player.positionIndex),
+      usePower: () => this.usePlayerPower(player)
+    }));
+    this.bots.forEach(bot => {
+      if (this.ui.isPaused()) bot.pause();
+      bot.start();
+    });
+    
+    this.updateVoiceCommands();
+  }
+
+  /**
+   * Stop the computer players
+   */
+  stopBots() {
+    this.bots.forEach(bot => bot.stop());
+    this.bots = [];
   }
 
   /**
-   * Update the current target
+   * Update the current target, shown as a word or, in a math mode, as an
+   * expression to work out ("7 + 5"). On letter, syllable, word and picture
+   * boards it shows (and reads) what the cell holds, or the picture's name.
    * @param {number} target - New target value
    */
   updateTarget(target) {
-    this.currentTarget = target;
-    
     const targetElement = document.querySelector('section#numbers-head span#current-target');
     if (targetElement) {
       targetElement.className = target.toString();
       
-      // Translate the number based on selected language
+      // Translate the number (or the expression) based on selected language
       const language = this.settings.get('language');
-      const translatedWord = this.translator.translateNumber(target, language);
-      targetElement.textContent = translatedWord;
+      let spoken;
+      if (!this.content.isNumbers) {
+        spoken = this.content.getWord(target);
+        targetElement.textContent = spoken;
+      } else if (MATH_TIERS.includes(this.settings.get('targetMode'))) {
+        const expression = this.getExpression(target);
+        targetElement.textContent = formatExpression(expression);
+        spoken = this.translator.translateExpression(expression, language);
+      } else {
+        spoken = this.translator.translateNumber(target, language);
+        targetElement.textContent = spoken;
+      }
       
-      // Read the target if enabled
+      // Read the target if enabled; a reading in progress finishes first
       if (this.settings.get('reader') === 'on') {
-        this.translator.speak(`find ${translatedWord}`, this.settings.get('readingSpeed'));
+        this.translator.speak(t('sayTarget', { word: spoken }), {
+          speed: this.settings.get('readingSpeed'),
+          lang: getLocale(language).lang,
+          voice: this.settings.get('voices')[language] || null,
+          mode: 'queue'
+        });
       }
     }
   }
 
+  /**
+   * Get the expression for a target, keeping the same one for the whole board
+   * (a skipped target comes back as the same sum)
+   * @param {number} target - The target
+   * @returns {Array} Expression tokens
+   */
+  getExpression(target) {
+    if (!this.expressions.has(target)) {
+      this.expressions.set(target, makeExpression(target, this.settings.get('targetMode'), this.expressionRandom));
+    }
+    return this.expressions.get(target);
+  }
+
+  /**
+   * List the voices for the selected language in the voice select
+   */
+  updateVoiceSelect() {
+    const language = this.settings.get('language');
+    const voices = this.translator.getVoices(getLocale(language).lang);
+    this.ui.updateVoiceSelect(voices, this.settings.get('voices')[language] || '');
+  }
+
+  /**
+   * Remember the voice chosen for the selected language
+   * @param {string} voice - voiceURI, or '' to let the browser pick
+   */
+  setVoice(voice) {
+    const language = this.settings.get('language');
+    this.settings.set('voices', { ...this.settings.get('voices'), [language]: voice });
+  }
+
+  /**
+   * Restart the countdown for the current target, if a time limit is set
+   */
+  startTargetTimer() {
+    const seconds = this.settings.getTargetTime();
+    if (!this.gameRunning || this.engine.isOver() || seconds === null) {
+      this.targetTimer.stop();
+      this.ui.updateTargetTimer(null);
+      return;
+    }
+
+    this.targetTimer.start(seconds);
+  }
+
   /**
    * Move a player
    * @param {Player} player - The player to move
-   * @param {number} direction - Direction to move
+   * @param {string} direction - Direction to move ('up', 'right', 'down' or 'left')
    * @param {number} keyCode - Key code that triggered the move
    */
   movePlayer(player, direction, keyCode) {
@@ -270,46 +748,32 @@ export class Game {
       return;
     }
     
-    const buttons = this.board.getAllButtons();
-    if (!buttons || buttons.length === 0) {
-      console.log("No board buttons found");
-      return;
-    }
-    
-    // Log movement for debugging
-    console.log(`Moving player ${player.index} in direction ${direction}`);
-    
-    // Move the player
-    player.move(direction, buttons);
+    this.engine.move(player.id, direction);
   }
 
   /**
    * Check if a player found the target
    * @param {Player} player - The player checking
-   * @param {Player} opponent - The opponent player
    * @param {number} position - Current position
    */
-  checkPlayerTarget(player, opponent, position) {
+  checkPlayerTarget(player, position) {
     if (!this.gameRunning) return;
     
-    const buttons = this.board.getAllButtons();
-    const result = player.checkTarget(position, buttons, this.currentTarget.toString());
+    // Recorded first so a confirm that ends the game is still in the replay
+    const event = this.recorder.record('confirm', { player: player.id, position, outcome: null });
+    const result = this.engine.confirm(player.id, position);
+    if (event) event.outcome = result?.type ?? null;
+  }
+
+  /**
+   * Use the oldest power a player is keeping
+   * @param {Player} player - The player pressing the power key
+   */
+  usePlayerPower(player) {
+    if (!this.gameRunning || this.ui.isPaused()) return;
     
-    if (result === true) {
-      // Target found, update to next target
-      this.updateTarget(this.currentTarget + 1);
-      
-      // Increment player power and potentially steal
-      const opponentFoundElements = this.board.getFoundByPlayer(opponent.getFoundClass());
-      player.incrementPower(opponent, opponentFoundElements);
-      
-      // Update scores
-      this.updateScores();
-      
-      // Check for game over
-      this.checkGameOver();
-    } else if (result === 'stolen-recovered' || result === 'saved') {
-      // Handle stolen/saved item
+    if (this.engine.usePower(player.id)) {
+      // The power is no longer shown next to the score
       this.updateScores();
     }
   }
@@ -318,50 +782,110 @@ export class Game {
    * Update player scores
    */
   updateScores() {
-    const player1 = this.players[0];
-    const player2 = this.players[1];
-    
-    const player1FoundElements = this.board.getFoundByPlayer(player1.getFoundClass());
-    const player2FoundElements = this.board.getFoundByPlayer(player2.getFoundClass());
-    
-    this.ui.updatePlayerScore(player1, player2FoundElements.length);
-    this.ui.updatePlayerScore(player2, player1FoundElements.length);
+    this.players.forEach(player => this.ui.updatePlayerScore(player));
   }
 
   /**
    * Check if the game is over
    */
   checkGameOver() {
-    if (this.currentTarget > 100) {
+    if (this.engine.isOver()) {
       this.gameRunning = false;
-      this.ui.showGameOver(this.players[0], this.players[1]);
+      this.targetTimer.stop();
+      this.stopBots();
+      this.voice.stop();
+      this.translator.stopSpeaking();
+      this.ui.updateTargetTimer(null);
+      this.ui.showGameOver(this.players, this.engine.seed);
+      this.recordMatch();
     }
   }
 
   /**
-   * Reset the game
+   * Note when a player found a target, for the match history
+   * @param {Object} state - Engine player state of the finder
+   * @param {number} target - The target found
    */
-  reset() {
-    // Reset board
-    this.board.reset();
+  recordFind(state, target) {
+    const player = this.players.find(p => p.id === state.id);
+    if (this.match && player) {
+      this.match.finds.push({ playerId: player.id, player: player.name, target, time: Date.now() - this.match.startedAt });
+    }
+  }
+
+  /**
+   * Store the game that just ended in the match history
+   */
+  recordMatch() {
+    if (!this.match) return;
     
-    // Reset players
-    this.players.forEach(player => {
-      player.score = 0;
-      player.moveCount = 0;
-      player.power = 0;
-      player.powerCounter = 0;
-      player.saves = 0;
-      player.stolen = 0;
+    const record = createMatchRecord({
+      mode: this.dailyChallenge ? 'daily' : 'local',
+      seed: this.engine.seed,
+      language: this.settings.get('language'),
+      startedAt: this.match.startedAt,
+      players: this.players,
+      finds: this.match.finds,
+      replay: this.recorder.stop()
     });
+    this.match = null;
+    this.history.add(record).then(() => this.showHistory());
+  }
+
+  /**
+   * List the recorded matches on the History page
+   */
+  showHistory() {
+    this.history.getAll().then(matches => this.ui.renderHistory(matches));
+  }
+
+  /**
+   * Play back a recorded match on the board
+   * @param {number} id - ID of the match
+   */
+  watchReplay(id) {
+    if (this.gameRunning) return;
+    
+    this.history.getAll().then(matches => {
+      const match = matches.find(m => m.id === id);
+      if (match?.replay) {
+        this.replayViewer.open(match.replay, match.language);
+      }
+    });
+  }
+
+  /**
+   * Download the match history
+   * @param {string} format - 'json' or 'csv'
+   */
+  exportHistory(format) {
+    this.history.getAll().then(matches => {
+      if (format === 'csv') {
+        downloadFile('shaka-history.csv', matchesToCSV(matches), 'text/csv');
+      } else {
+        downloadFile('shaka-history.json', matchesToJSON(matches), 'application/json');
+      }
+    });
+  }
+
+  /**
+   * Reset the game
+   */
+  reset() {
+    // Reset board and players
+    this.configureBoard();
     
     // Reset game state
-    this.currentTarget = 1;
     this.gameRunning = false;
+    this.targetTimer.stop();
+    this.stopBots();
+    this.voice.stop();
+    this.ui.updateTargetTimer(null);
     this.countdownIndex = 0;
     this.canOpenGame = false;
     
     // Update UI
-    this.updateTarget(1);
+    this.updateTarget(this.currentTarget);
+    this.updateScores();
   }
 } 
\ No newline at end of file
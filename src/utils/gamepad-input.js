@@ -0,0 +1,147 @@
+/**
+ * Stick deflection needed before it counts as a direction
+ */
+const STICK_DEADZONE = 0.5;
+
+/**
+ * Time (ms) a direction must be held before it starts repeating
+ */
+const REPEAT_DELAY = 300;
+
+/**
+ * Time (ms) between repeated moves while a direction is held
+ */
+const REPEAT_INTERVAL = 120;
+
+/**
+ * Standard-mapping buttons: d-pad, the bottom face button (A / Cross) to
+ * confirm and the right one (B / Circle) to use a power
+ */
+const DPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+const CONFIRM_BUTTON = 0;
+const POWER_BUTTON = 1;
+
+/**
+ * Polls connected gamepads once per frame and turns the d-pad, left stick
+ * and face button into the same moves and confirms as the keyboard
+ */
+export class GamepadInput {
+  /**
+   * Create a new gamepad poller
+   * @param {Object} callbacks - Input callbacks
+   * @param {Function} callbacks.onMove - Called with (pad index, direction)
+   * @param {Function} callbacks.onConfirm - Called with the pad index
+   * @param {Function} callbacks.onPower - Called with the pad index when the power button is pressed
+   * @param {Function} callbacks.onChange - Called with the connected pads when one is plugged in or out
+   */
+  constructor(callbacks = {}) {
+    this.onMove = callbacks.onMove || (() => {});
+    this.onConfirm = callbacks.onConfirm || (() => {});
+    this.onPower = callbacks.onPower || (() => {});
+    this.onChange = callbacks.onChange || (() => {});
+
+    // Held direction, confirm and power state per pad index
+    this.padStates = new Map();
+    this.frame = null;
+
+    this.poll = this.poll.bind(this);
+    this.handleConnectionChange = this.handleConnectionChange.bind(this);
+  }
+
+  /**
+   * Start listening for pads (polling runs only while one is connected)
+   */
+  start() {
+    // Without the Gamepad API the other inputs still work
+    if (!navigator.getGamepads) return;
+
+    window.addEventListener('gamepadconnected', this.handleConnectionChange);
+    window.addEventListener('gamepaddisconnected', this.handleConnectionChange);
+    this.handleConnectionChange();
+  }
+
+  /**
+   * Get the connected pads
+   * @returns {Array} Array of { index, id }
+   */
+  getPads() {
+    if (!navigator.getGamepads) return [];
+    return [...navigator.getGamepads()]
+      .filter(Boolean)
+      .map(pad => ({ index: pad.index, id: pad.id }));
+  }
+
+  /**
+   * Start or stop polling as pads come and go
+   */
+  handleConnectionChange() {
+    const pads = this.getPads();
+
+    if (pads.length > 0 && this.frame === null) {
+      this.frame = requestAnimationFrame(this.poll);
+    } else if (pads.length === 0 && this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+
+    this.onChange(pads);
+  }
+
+  /**
+   * Read every pad and fire callbacks for new or repeating input
+   * @param {number} now - Frame timestamp
+   */
+  poll(now) {
+    [...navigator.getGamepads()].forEach(pad => {
+      if (!pad) return;
+
+      const state = this.padStates.get(pad.index) || { direction: null, nextRepeat: 0, confirmHeld: false, powerHeld: false };
+      const direction = this.readDirection(pad);
+
+      if (direction !== state.direction) {
+        state.direction = direction;
+        state.nextRepeat = now + REPEAT_DELAY;
+        if (direction) this.onMove(pad.index, direction);
+      } else if (direction && now >= state.nextRepeat) {
+        state.nextRepeat = now + REPEAT_INTERVAL;
+        this.onMove(pad.index, direction);
+      }
+
+      // Confirm fires once per press
+      const confirmHeld = !!pad.buttons[CONFIRM_BUTTON]?.pressed;
+      if (confirmHeld && !state.confirmHeld) {
+        this.onConfirm(pad.index);
+      }
+      state.confirmHeld = confirmHeld;
+
+      const powerHeld = !!pad.buttons[POWER_BUTTON]?.pressed;
+      if (powerHeld && !state.powerHeld) {
+        this.onPower(pad.index);
+      }
+      state.powerHeld = powerHeld;
+
+      this.padStates.set(pad.index, state);
+    });
+
+    this.frame = requestAnimationFrame(this.poll);
+  }
+
+  /**
+   * Get the direction a pad is pointing, d-pad first, then the left stick
+   * @param {Gamepad} pad - The gamepad
+   * @returns {string|null} 'up', 'right', 'down', 'left' or null
+   */
+  readDirection(pad) {
+    const pressed = Object.keys(DPAD_BUTTONS).find(direction => pad.buttons[DPAD_BUTTONS[direction]]?.pressed);
+    if (pressed) return pressed;
+
+    const [x = 0, y = 0] = pad.axes;
+    if (Math.max(Math.abs(x), Math.abs(y)) < STICK_DEADZONE) return null;
+
+    // The axis pushed furthest wins
+    if (Math.abs(x) > Math.abs(y)) {
+      return x > 0 ? 'right' : 'left';
+    }
+    return y > 0 ? 'down' : 'up';
+  }
+}
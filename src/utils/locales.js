@@ -0,0 +1,85 @@
+/**
+ * Registry of the locale packs found in src/locales.
+ *
+ * A pack is a JS module (default export) or a JSON file with:
+ * - `id`       unique key stored in the settings (defaults to the file name)
+ * - `name`     label shown in select#language
+ * - `lang`     BCP 47 tag for text-to-speech, e.g. 'fr-FR'
+ * - `prompt`   the "Find:" prompt shown before the target
+ * - `numberToWords(num)` returning the words for a number (JS packs), or
+ *   `numbers` a table { "1": "one", ... } (JS or JSON packs)
+ * - `strings`  UI strings by key; missing ones fall back to English
+ * - `alphabet` letters for letter boards (optional, defaults to A-Z)
+ * - `syllables` { simple: [...], compound: [...] } for syllable boards (optional)
+ * - `words`    word list for word boards (optional, defaults to the English one)
+ * - `pictures` word for each picture in board-content.js, by name (optional)
+ *
+ * Dropping a file into src/locales is enough to add a language. The packs are
+ * bundled by Vite (import.meta.glob below), so a new one shows up after the dev
+ * server restarts or the app is built again, not at runtime.
+ */
+
+const modules = import.meta.glob(['../locales/*.js', '../locales/*.json'], { eager: true, import: 'default' });
+
+/**
+ * Language used when a pack or string is missing
+ */
+export const DEFAULT_LOCALE = 'english';
+
+/**
+ * Letters used when a pack has no alphabet
+ */
+const DEFAULT_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Fill in the optional parts of a pack
+ * @param {Object} pack - Pack as written
+ * @param {string} path - File the pack came from
+ * @returns {Object} Pack with id, name, lang, prompt, numberToWords, strings and board content
+ */
+function normalizeLocale(pack, path) {
+  const id = pack.id || path.split('/').pop().replace(/\.(js|json)$/, '');
+  const numbers = pack.numbers || {};
+
+  return {
+    id,
+    name: pack.name || id,
+    lang: pack.lang || 'en-US',
+    prompt: pack.prompt || 'Find:',
+    numberToWords: typeof pack.numberToWords === 'function'
+      ? pack.numberToWords
+      : num => numbers[num] ?? null,
+    strings: pack.strings || {},
+    alphabet: pack.alphabet || DEFAULT_ALPHABET,
+    syllables: pack.syllables || null,
+    words: pack.words || null,
+    pictures: pack.pictures || {}
+  };
+}
+
+/**
+ * All packs, sorted by name
+ */
+export const LOCALES = Object.entries(modules)
+  .map(([path, pack]) => normalizeLocale(pack, path))
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Get a pack by ID, falling back to English
+ * @param {string} id - Pack ID
+ * @returns {Object} The pack
+ */
+export function getLocale(id) {
+  return LOCALES.find(locale => locale.id === id)
+    || LOCALES.find(locale => locale.id === DEFAULT_LOCALE);
+}
+
+/**
+ * Get a UI string in a language, falling back to English and then the key
+ * @param {string} id - Pack ID
+ * @param {string} key - String key
+ * @returns {string} The string
+ */
+export function getString(id, key) {
+  return getLocale(id).strings[key] ?? getLocale(DEFAULT_LOCALE).strings[key] ?? key;
+}
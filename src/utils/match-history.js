@@ -0,0 +1,208 @@
+/**
+ * Match history kept in IndexedDB, so every finished local and online game
+ * can be looked at again from the History page and exported.
+ *
+ * A match record looks like:
+ * {
+ *   id,                      // set by IndexedDB
+ *   date,                    // ISO date the game started
+ *   mode,                    // 'local', 'daily' or 'online'
+ *   seed, language,
+ *   duration,                // ms from the first target to the end
+ *   players: [{ id, index, name, controller, moves, power, saves, stolen, score }],
+ *   finds: [{ playerId, player, target, time }],  // player is the name; time in ms since the start
+ *   replay                   // board and timed events for the replay viewer (see engine/replay.js), or null
+ * }
+ */
+
+/**
+ * IndexedDB database and object store names
+ */
+const DB_NAME = 'shaka-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'matches';
+
+/**
+ * Columns of the CSV export (one row per player per match)
+ */
+const CSV_COLUMNS = ['id', 'date', 'mode', 'seed', 'language', 'duration', 'player', 'controller', 'moves', 'power', 'saves', 'stolen', 'score', 'finds'];
+
+/**
+ * Build a match record from a finished game
+ * @param {Object} match - What to record
+ * @param {string} match.mode - 'local', 'daily' or 'online'
+ * @param {string} match.seed - Seed of the board
+ * @param {string} match.language - Locale pack ID
+ * @param {number} match.startedAt - Time (ms) the game started
+ * @param {Array} match.players - Players (Player objects or anything with the same stats)
+ * @param {Array} match.finds - Finds as { playerId, player, target, time }
+ * @param {Object} match.replay - Replay from ReplayRecorder.stop() (optional)
+ * @returns {Object} Match record, ready for MatchHistory.add()
+ */
+export function createMatchRecord({ mode, seed, language, startedAt, players, finds, replay = null }) {
+  return {
+    date: new Date(startedAt).toISOString(),
+    mode,
+    seed: seed ?? null,
+    language,
+    duration: Date.now() - startedAt,
+    players: players.map(player => ({
+      id: player.id,
+      index: player.index,
+      name: player.name,
+      controller: player.controller || 'human',
+      moves: player.moveCount ?? 0,
+      power: player.power ?? 0,
+      saves: player.saves ?? 0,
+      stolen: player.stolen ?? 0,
+      score: player.score ?? 0
+    })),
+    finds: finds.map(find => ({ ...find })),
+    replay
+  };
+}
+
+/**
+ * Put matches into a JSON file's text
+ * @param {Array} matches - Match records
+ * @returns {string} Indented JSON
+ */
+export function matchesToJSON(matches) {
+  return JSON.stringify(matches, null, 2);
+}
+
+/**
+ * Put matches into a CSV file's text: one row per player per match, with
+ * that player's finds as "target@seconds" separated by spaces
+ * @param {Array} matches - Match records
+ * @returns {string} CSV
+ */
+export function matchesToCSV(matches) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = [CSV_COLUMNS];
+  matches.forEach(match => {
+    match.players.forEach(player => {
+      const finds = match.finds
+        // Names can repeat (two "CPU (Easy)" bots); matches recorded before ids were kept only have names
+        .filter(find => (find.playerId !== undefined ? find.playerId === player.id : find.player === player.name))
+        .map(find => `${find.target}@${(find.time / 1000).toFixed(1)}`)
+        .join(' ');
+      rows.push([
+        match.id, match.date, match.mode, match.seed, match.language, match.duration,
+        player.name, player.controller, player.moves, player.power, player.saves, player.stolen, player.score,
+        finds
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(escape).join(',')).join('\n');
+}
+
+/**
+ * Offer text to the user as a file download
+ * @param {string} filename - File name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Stores and reads match records. Every method resolves even when IndexedDB
+ * is not available (private mode, old browsers): nothing is stored then.
+ */
+export class MatchHistory {
+  /**
+   * Create a new match history
+   */
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database (once)
+   * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB cannot be used
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Could not open the match history:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request on the matches store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+   * @param {any} fallback - Result when the database cannot be used
+   * @returns {Promise<any>} The request's result
+   */
+  run(mode, makeRequest, fallback) {
+    return this.open().then(db => new Promise(resolve => {
+      if (!db) {
+        resolve(fallback);
+        return;
+      }
+
+      const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Match history request failed:', request.error);
+        resolve(fallback);
+      };
+    }));
+  }
+
+  /**
+   * Record a match
+   * @param {Object} match - Record from createMatchRecord()
+   * @returns {Promise<number|null>} ID of the stored match, or null
+   */
+  add(match) {
+    return this.run('readwrite', store => store.add(match), null);
+  }
+
+  /**
+   * Get every recorded match
+   * @returns {Promise<Array>} Match records, newest first
+   */
+  getAll() {
+    return this.run('readonly', store => store.getAll(), [])
+      .then(matches => matches.sort((a, b) => b.id - a.id));
+  }
+
+  /**
+   * Forget every recorded match
+   * @returns {Promise<void>} Resolves once cleared
+   */
+  clear() {
+    return this.run('readwrite', store => store.clear(), undefined);
+  }
+}
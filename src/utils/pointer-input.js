@@ -0,0 +1,76 @@
+/**
+ * Distance (px) a pointer must travel before a press counts as a swipe
+ */
+const SWIPE_DISTANCE = 30;
+
+/**
+ * Turns taps, clicks and swipes on the board into cell taps and directions,
+ * for playing on tablets, phones or with a mouse
+ */
+export class PointerInput {
+  /**
+   * Create a new pointer input
+   * @param {Object} config - Pointer configuration
+   * @param {Board} config.board - The board whose cells are tapped
+   * @param {Function} config.onTap - Called with the tapped position (1-based)
+   * @param {Function} config.onSwipe - Called with 'up', 'right', 'down' or 'left'
+   */
+  constructor(config) {
+    this.board = config.board;
+    this.onTap = config.onTap || (() => {});
+    this.onSwipe = config.onSwipe || (() => {});
+    this.start = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+  }
+
+  /**
+   * Start listening on the board container
+   */
+  bind() {
+    const container = this.board.container;
+    if (!container) return;
+
+    // Swipes should not scroll or zoom the page
+    container.style.touchAction = 'none';
+    container.addEventListener('pointerdown', this.handlePointerDown);
+    container.addEventListener('pointerup', this.handlePointerUp);
+    container.addEventListener('pointercancel', () => { this.start = null; });
+  }
+
+  /**
+   * Remember where a press started
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerDown(event) {
+    this.start = { x: event.clientX, y: event.clientY };
+  }
+
+  /**
+   * Decide between a tap and a swipe when the press ends
+   * @param {PointerEvent} event - The pointer event
+   */
+  handlePointerUp(event) {
+    if (!this.start) return;
+
+    const dx = event.clientX - this.start.x;
+    const dy = event.clientY - this.start.y;
+    this.start = null;
+
+    if (Math.max(Math.abs(dx), Math.abs(dy)) >= SWIPE_DISTANCE) {
+      if (Math.abs(dx) > Math.abs(dy)) {
+        this.onSwipe(dx > 0 ? 'right' : 'left');
+      } else {
+        this.onSwipe(dy > 0 ? 'down' : 'up');
+      }
+      return;
+    }
+
+    const button = event.target.closest('button.number');
+    const position = this.board.getAllButtons().indexOf(button) + 1;
+    if (position > 0) {
+      this.onTap(position);
+    }
+  }
+}
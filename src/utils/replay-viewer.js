@@ -0,0 +1,192 @@
+import { ReplayPlayer } from '../engine/replay.js';
+import { BoardContent } from './board-content.js';
+import { t } from './translator.js';
+
+/**
+ * Format a replay time as m:ss
+ * @param {number} ms - Time in ms
+ * @returns {string} Formatted time
+ */
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Shows a recorded game on the game's own board, with play/pause, seek and
+ * speed controls (section#replay-controls)
+ */
+export class ReplayViewer {
+  /**
+   * Create a new replay viewer
+   * @param {Object} config - Viewer configuration
+   * @param {Board} config.board - Board to render the replay on
+   * @param {UIManager} config.ui - For the names and scores above the board
+   * @param {Translator} config.translator - Puts targets into words
+   * @param {Function} config.onClose - Called once the viewer is closed, to put the game back
+   */
+  constructor(config) {
+    this.board = config.board;
+    this.ui = config.ui;
+    this.translator = config.translator;
+    this.onClose = config.onClose || (() => {});
+
+    this.player = null;
+    this.content = null;
+    this.detach = null;
+    // Target shown above the board before the replay, put back on close
+    this.savedTarget = null;
+
+    this.elements = {
+      controls: document.querySelector('section#replay-controls'),
+      play: document.querySelector('button#replay-play'),
+      seek: document.querySelector('input#replay-seek'),
+      time: document.querySelector('span#replay-time'),
+      speed: document.querySelector('select#replay-speed'),
+      close: document.querySelector('button#replay-close'),
+      target: document.querySelector('section#numbers-head span#current-target'),
+      introPage: document.querySelector('#introPage'),
+      cover: document.querySelector('#pause-cover')
+    };
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.bindEvents();
+  }
+
+  /**
+   * Whether a replay is showing
+   * @returns {boolean} True while open
+   */
+  get isOpen() {
+    return this.player !== null;
+  }
+
+  /**
+   * Bind the replay controls
+   */
+  bindEvents() {
+    this.elements.play?.addEventListener('click', () => this.togglePlay());
+    this.elements.seek?.addEventListener('input', () => this.player?.seek(Number(this.elements.seek.value)));
+    this.elements.speed?.addEventListener('change', () => this.player?.setSpeed(Number(this.elements.speed.value)));
+    this.elements.close?.addEventListener('click', () => this.close());
+  }
+
+  /**
+   * Show a replay and start playing it
+   * @param {Object} replay - Replay from a match record
+   * @param {string} language - Locale pack ID of the match (for replays that do not name one)
+   */
+  open(replay, language) {
+    if (this.player) this.close();
+
+    // Online replays do not record the content: they are number boards
+    this.content = new BoardContent({
+      type: replay.content?.type,
+      language: replay.content?.language ?? language,
+      customWords: replay.content?.customWords,
+      translator: this.translator
+    });
+    this.player = new ReplayPlayer(replay);
+    this.player.setSpeed(Number(this.elements.speed?.value) || 1);
+
+    this.detach = this.board.attach(this.player.engine);
+    this.board.setContent(this.content);
+    this.player.engine.on('score', ({ players }) => players.forEach(player => this.ui.updatePlayerScore(player)));
+    this.player.engine.on('target', ({ target }) => this.showTarget(target));
+    this.player.on('time', ({ time, duration }) => this.showTime(time, duration));
+    this.player.on('state', ({ playing }) => {
+      if (this.elements.play) this.elements.play.textContent = t(playing ? 'replayPause' : 'play');
+    });
+    this.player.on('confirm', ({ position, outcome }) => {
+      if (outcome) this.board.highlight(position);
+    });
+
+    if (this.elements.target) {
+      this.savedTarget = { text: this.elements.target.textContent, className: this.elements.target.className };
+    }
+    this.ui.renderScoreboard(replay.players.map(player => ({ index: player.index, name: player.name, score: 0 })));
+    this.player.load();
+
+    if (this.elements.seek) this.elements.seek.max = this.player.duration;
+    this.showTime(0, this.player.duration);
+
+    if (this.elements.introPage) this.elements.introPage.style.display = 'none';
+    this.elements.cover?.classList.add('pause');
+    if (this.elements.controls) this.elements.controls.style.display = '';
+    // Space plays and pauses the replay instead of the game
+    window.addEventListener('keydown', this.handleKeyDown, true);
+
+    this.player.play();
+  }
+
+  /**
+   * Stop the replay and go back to the History page
+   */
+  close() {
+    if (!this.player) return;
+
+    this.player.pause();
+    this.detach();
+    this.detach = null;
+    this.player = null;
+    window.removeEventListener('keydown', this.handleKeyDown, true);
+
+    if (this.elements.controls) this.elements.controls.style.display = 'none';
+    if (this.elements.target && this.savedTarget) {
+      this.elements.target.textContent = this.savedTarget.text;
+      this.elements.target.className = this.savedTarget.className;
+    }
+    if (this.elements.introPage) this.elements.introPage.style.display = '';
+
+    this.onClose();
+  }
+
+  /**
+   * Play or pause
+   */
+  togglePlay() {
+    if (!this.player) return;
+
+    if (this.player.playing) {
+      this.player.pause();
+    } else {
+      this.player.play();
+    }
+  }
+
+  /**
+   * Space plays and pauses, Escape closes the viewer
+   * @param {KeyboardEvent} event - The key event
+   */
+  handleKeyDown(event) {
+    if (event.code === 'Space') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.togglePlay();
+    } else if (event.code === 'Escape') {
+      event.stopPropagation();
+      this.close();
+    }
+  }
+
+  /**
+   * Show a target above the board
+   * @param {number} target - The target
+   */
+  showTarget(target) {
+    if (!this.elements.target) return;
+
+    this.elements.target.className = target.toString();
+    this.elements.target.textContent = this.content.getWord(target);
+  }
+
+  /**
+   * Show where playback is
+   * @param {number} time - Time in ms
+   * @param {number} duration - Length of the replay in ms
+   */
+  showTime(time, duration) {
+    if (this.elements.seek) this.elements.seek.value = time;
+    if (this.elements.time) this.elements.time.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+  }
+}
@@ -1,37 +1,124 @@
+import { loadStored, saveStored, removeStored } from './storage.js';
+import { LOCALES, getLocale } from './locales.js';
+import { setLanguage, translatePage } from './translator.js';
+import { DEFAULT_RANGE, parseRangeSpec } from '../engine/sequences.js';
+
+/**
+ * Storage key for the saved settings
+ */
+const SETTINGS_STORAGE_KEY = 'settings';
+
 /**
  * Settings class to manage game configuration
  */
 export class Settings {
   constructor() {
     this.defaultSettings = {
-      time: 3,
+      time: 5,
+      timeout: 'skip',
       reader: 'on',
       language: 'english',
       readingSpeed: 1,
-      showTarget: true
+      // Chosen voiceURI per language (missing or '' lets the browser pick)
+      voices: {},
+      showTarget: true,
+      boardSize: '10x10',
+      edges: 'wrap',
+      // What the cells hold: a CONTENT_TYPES ID (see board-content.js); customWords for 'words'
+      content: 'numbers',
+      customWords: '',
+      // A NUMBER_RANGES ID (see engine/sequences.js) or 'custom' for customRange
+      numberRange: 'standard',
+      customRange: '',
+      // A SEQUENCES ID (see engine/sequences.js); multipleOf is the step for 'multiples'
+      sequence: 'ascending',
+      multipleOf: 3,
+      // 'words', or a MATH_TIERS tier (see expressions.js) to show sums instead
+      targetMode: 'words',
+      // What tapping a cell does: 'tap' jumps there and confirms, 'swipe' only confirms
+      touchMode: 'tap',
+      // 'on' to play the first human slot by saying numbers and directions
+      voiceCommands: 'off',
+      // Local players (2 to 4); the per-slot settings below always hold 4 slots
+      playerCount: 2,
+      // Last names typed in #names, per player slot
+      playerNames: ['', '', '', ''],
+      // 'human' or a CPU level per player slot
+      playerTypes: ['human', 'human', 'human', 'human'],
+      // Gamepad index per player slot (null for keyboard only)
+      gamepads: [null, null, null, null],
+      // Key bindings per player slot
+      controls: [
+        { up: 'KeyW', right: 'KeyD', down: 'KeyS', left: 'KeyA', confirm: 'CapsLock', power: 'KeyQ' },
+        { up: 'ArrowUp', right: 'ArrowRight', down: 'ArrowDown', left: 'ArrowLeft', confirm: 'Enter', power: 'ShiftRight' },
+        { up: 'KeyI', right: 'KeyL', down: 'KeyK', left: 'KeyJ', confirm: 'KeyO', power: 'KeyU' },
+        { up: 'Numpad8', right: 'Numpad6', down: 'Numpad5', left: 'Numpad4', confirm: 'NumpadEnter', power: 'NumpadAdd' }
+      ],
+      // Power rules (see DEFAULT_POWER_RULES in engine/game-engine.js)
+      powerUp: 'steal',
+      powerStreak: 3,
+      powerReset: 'off',
+      stealCount: 1
     };
     
-    this.settings = {...this.defaultSettings};
+    this.settings = this.fillPlayerSlots({...this.cloneDefaults(), ...loadStored(SETTINGS_STORAGE_KEY, {})});
     this.listeners = [];
   }
 
+  /**
+   * Give settings saved with fewer player slots (before 3 and 4 players)
+   * the defaults for the missing slots, and older key bindings the keys
+   * added since (the power key)
+   * @param {Object} settings - Loaded settings
+   * @returns {Object} The same settings, with every slot filled
+   */
+  fillPlayerSlots(settings) {
+    const defaults = this.cloneDefaults();
+    ['playerNames', 'playerTypes', 'gamepads', 'controls'].forEach(key => {
+      const stored = Array.isArray(settings[key]) ? settings[key] : [];
+      settings[key] = defaults[key].map((value, i) => (i < stored.length ? stored[i] : value));
+    });
+    settings.controls = settings.controls.map((controls, i) => ({ ...defaults.controls[i], ...controls }));
+    return settings;
+  }
+
+  /**
+   * Copy the defaults so nested values (names, controls) are never shared
+   * @returns {Object} Default settings
+   */
+  cloneDefaults() {
+    return JSON.parse(JSON.stringify(this.defaultSettings));
+  }
+
   /**
    * Initialize settings from DOM elements
    */
   init() {
     this.bindUIElements();
+    this.updateUIElements();
   }
 
   /**
    * Bind UI elements to settings changes
    */
   bindUIElements() {
-    // Language select
+    // Language select, listing every locale pack
     const languageSelect = document.querySelector('select#language');
     if (languageSelect) {
+      languageSelect.innerHTML = '';
+      LOCALES.forEach(locale => languageSelect.add(new Option(locale.name, locale.id)));
       languageSelect.addEventListener('input', (e) => {
-        this.set('language', e.target.value);
+        // Switch the strings first so listeners render in the new language
         this.setupLanguageUI(e.target.value);
+        this.set('language', e.target.value);
+      });
+    }
+
+    // Number of local players
+    const playerCountSelect = document.querySelector('select#player-count');
+    if (playerCountSelect) {
+      playerCountSelect.addEventListener('input', (e) => {
+        this.set('playerCount', parseInt(e.target.value, 10));
       });
     }
 
@@ -43,6 +130,122 @@ export class Settings {
       });
     }
 
+    // What happens when the time for a target runs out
+    const timeoutSelect = document.querySelector('select#timeout');
+    if (timeoutSelect) {
+      timeoutSelect.addEventListener('input', (e) => {
+        this.set('timeout', e.target.value);
+      });
+    }
+
+    // Board size select (rows x columns)
+    const boardSizeSelect = document.querySelector('select#board-size');
+    if (boardSizeSelect) {
+      boardSizeSelect.addEventListener('input', (e) => {
+        this.set('boardSize', e.target.value);
+      });
+    }
+
+    // Board edges select
+    const edgesSelect = document.querySelector('select#edges');
+    if (edgesSelect) {
+      edgesSelect.addEventListener('input', (e) => {
+        this.set('edges', e.target.value);
+      });
+    }
+
+    // Board content select, and the word list used for word boards
+    const contentSelect = document.querySelector('select#content');
+    if (contentSelect) {
+      contentSelect.addEventListener('input', (e) => {
+        this.set('content', e.target.value);
+        this.updateCustomWordsInput();
+      });
+    }
+    const customWordsInput = document.querySelector('input#custom-words');
+    if (customWordsInput) {
+      customWordsInput.addEventListener('change', (e) => {
+        this.set('customWords', e.target.value.trim());
+      });
+    }
+
+    // Number range select, and the spec used when it is 'custom'
+    const rangeSelect = document.querySelector('select#number-range');
+    const customRangeInput = document.querySelector('input#custom-range');
+    if (rangeSelect) {
+      rangeSelect.addEventListener('input', (e) => {
+        this.set('numberRange', e.target.value);
+        this.updateCustomRangeInput();
+      });
+    }
+    if (customRangeInput) {
+      customRangeInput.addEventListener('change', (e) => {
+        const spec = e.target.value.trim();
+        const valid = spec === '' || parseRangeSpec(spec) !== null;
+        customRangeInput.classList.toggle('invalid', !valid);
+        if (valid) {
+          this.set('customRange', spec);
+        }
+      });
+    }
+
+    // Sequence select, and the step used when it is 'multiples'
+    const sequenceSelect = document.querySelector('select#sequence');
+    if (sequenceSelect) {
+      sequenceSelect.addEventListener('input', (e) => {
+        this.set('sequence', e.target.value);
+        this.updateMultipleOfSelect();
+      });
+    }
+    const multipleOfSelect = document.querySelector('select#multiple-of');
+    if (multipleOfSelect) {
+      multipleOfSelect.addEventListener('input', (e) => {
+        this.set('multipleOf', parseInt(e.target.value, 10));
+      });
+    }
+
+    // Target mode select (words or math expressions)
+    const targetModeSelect = document.querySelector('select#target-mode');
+    if (targetModeSelect) {
+      targetModeSelect.addEventListener('input', (e) => {
+        this.set('targetMode', e.target.value);
+      });
+    }
+
+    // Touch mode select
+    const touchModeSelect = document.querySelector('select#touch-mode');
+    if (touchModeSelect) {
+      touchModeSelect.addEventListener('input', (e) => {
+        this.set('touchMode', e.target.value);
+      });
+    }
+
+    // Voice commands select
+    const voiceCommandsSelect = document.querySelector('select#voice-commands');
+    if (voiceCommandsSelect) {
+      voiceCommandsSelect.addEventListener('input', (e) => {
+        this.set('voiceCommands', e.target.value);
+      });
+    }
+
+    // Power rules: what a power does, how many cells a steal takes,
+    // how long the streak is and whether longer streaks earn more
+    const powerSelects = {
+      'select#power-up': ['powerUp', value => value],
+      'select#steal-count': ['stealCount', value => parseInt(value, 10)],
+      'select#power-streak': ['powerStreak', value => parseInt(value, 10)],
+      'select#power-reset': ['powerReset', value => value]
+    };
+    Object.entries(powerSelects).forEach(([selector, [key, read]]) => {
+      const select = document.querySelector(selector);
+      if (select) {
+        select.addEventListener('input', (e) => {
+          this.set(key, read(e.target.value));
+          this.updateStealCountSelect();
+        });
+      }
+    });
+
     // Reading speed select
     const speedSelect = document.querySelector('select#reading-speed');
     if (speedSelect) {
@@ -69,21 +272,182 @@ export class Settings {
   }
 
   /**
-   * Set up language-specific UI elements
+   * Show the current settings in the intro page controls
+   */
+  updateUIElements() {
+    const selects = {
+      'select#language': 'language',
+      'select#player-count': 'playerCount',
+      'select#time': 'time',
+      'select#timeout': 'timeout',
+      'select#board-size': 'boardSize',
+      'select#edges': 'edges',
+      'select#content': 'content',
+      'select#number-range': 'numberRange',
+      'select#sequence': 'sequence',
+      'select#multiple-of': 'multipleOf',
+      'select#target-mode': 'targetMode',
+      'select#touch-mode': 'touchMode',
+      'select#voice-commands': 'voiceCommands',
+      'select#power-up': 'powerUp',
+      'select#steal-count': 'stealCount',
+      'select#power-streak': 'powerStreak',
+      'select#power-reset': 'powerReset',
+      'select#reading-speed': 'readingSpeed'
+    };
+    Object.entries(selects).forEach(([selector, key]) => {
+      const select = document.querySelector(selector);
+      if (select) {
+        select.value = String(this.settings[key]);
+      }
+    });
+
+    const reader = document.querySelector(`input[type=radio][name=reader][value="${this.settings.reader}"]`);
+    if (reader) {
+      reader.checked = true;
+    }
+
+    const targetCheck = document.querySelector('input[type=checkbox]#target-check');
+    if (targetCheck) {
+      targetCheck.checked = !!this.settings.showTarget;
+    }
+
+    const customRangeInput = document.querySelector('input#custom-range');
+    if (customRangeInput) {
+      customRangeInput.value = this.settings.customRange;
+      customRangeInput.classList.remove('invalid');
+    }
+    const customWordsInput = document.querySelector('input#custom-words');
+    if (customWordsInput) {
+      customWordsInput.value = this.settings.customWords;
+    }
+
+    this.updateCustomRangeInput();
+    this.updateMultipleOfSelect();
+    this.updateCustomWordsInput();
+    this.updateStealCountSelect();
+
+    this.setupLanguageUI(this.settings.language);
+  }
+
+  /**
+   * Switch the interface language: the target prompt and every element
+   * marked with data-i18n (see translatePage)
    */
   setupLanguageUI(language) {
+    const locale = getLocale(language);
+
+    setLanguage(locale.id);
+    document.documentElement.lang = locale.lang.split('-')[0];
+    translatePage();
+
     const targetElement = document.querySelector('section#numbers-head > div');
     if (!targetElement) return;
 
-    const languagePrompts = {
-      'kinyarwanda': { prompt: 'Shaka:', value: 'Rimwe' },
-      'english': { prompt: 'Find:', value: 'One' },
-      'france': { prompt: 'Chercher:', value: 'Un' },
-      'roman': { prompt: 'Find:', value: 'I' }
+    const value = locale.numberToWords(1) ?? '1';
+    targetElement.innerHTML = `<p>${locale.prompt}</p><span id="current-target" class="1">${value}</span><span id="target-timer"></span>`;
+  }
+
+  /**
+   * Get the board dimensions from the boardSize setting
+   * @returns {Object} { rows, cols }
+   */
+  getBoardSize() {
+    const [rows, cols] = String(this.settings.boardSize).split('x').map(n => parseInt(n, 10));
+    return { rows: rows || 10, cols: cols || 10 };
+  }
+
+  /**
+   * Show the word list input only for word boards
+   */
+  updateCustomWordsInput() {
+    const customWordsInput = document.querySelector('input#custom-words');
+    if (customWordsInput) {
+      customWordsInput.style.display = this.settings.content === 'words' ? '' : 'none';
+    }
+  }
+
+  /**
+   * Show the custom range input only when the custom range is selected
+   */
+  updateCustomRangeInput() {
+    const customRangeInput = document.querySelector('input#custom-range');
+    if (customRangeInput) {
+      customRangeInput.style.display = this.settings.numberRange === 'custom' ? '' : 'none';
+    }
+  }
+
+  /**
+   * Get the number range for the engine
+   * @returns {string} A NUMBER_RANGES ID or the custom spec
+   */
+  getNumberRange() {
+    if (this.settings.numberRange === 'custom') {
+      return this.settings.customRange || DEFAULT_RANGE;
+    }
+    return this.settings.numberRange;
+  }
+
+  /**
+   * Show the step select only when multiples are selected
+   */
+  updateMultipleOfSelect() {
+    const multipleOfSelect = document.querySelector('select#multiple-of');
+    if (multipleOfSelect) {
+      multipleOfSelect.style.display = this.settings.sequence === 'multiples' ? '' : 'none';
+    }
+  }
+
+  /**
+   * Get the target sequence for the engine
+   * @returns {string} A SEQUENCES ID, with the step for multiples ('multiples:3')
+   */
+  getSequence() {
+    if (this.settings.sequence === 'multiples') {
+      return `multiples:${this.settings.multipleOf}`;
+    }
+    return this.settings.sequence;
+  }
+
+  /**
+   * Show the steal count select only when powers can steal
+   */
+  updateStealCountSelect() {
+    const stealCountSelect = document.querySelector('select#steal-count');
+    if (stealCountSelect) {
+      stealCountSelect.style.display = ['steal', 'mixed'].includes(this.settings.powerUp) ? '' : 'none';
+    }
+  }
+
+  /**
+   * Get the power rules for the engine
+   * @returns {Object} Power rules (see DEFAULT_POWER_RULES)
+   */
+  getPowerRules() {
+    return {
+      streak: parseInt(this.settings.powerStreak, 10),
+      reset: this.settings.powerReset === 'on',
+      stealCount: parseInt(this.settings.stealCount, 10),
+      powerUp: this.settings.powerUp
     };
+  }
 
-    const { prompt, value } = languagePrompts[language] || languagePrompts.english;
-    targetElement.innerHTML = `<p>${prompt}</p><span id="current-target" class="1">${value}</span>`;
+  /**
+   * Get the number of local players
+   * @returns {number} 2 up to the number of player slots
+   */
+  getPlayerCount() {
+    const count = parseInt(this.settings.playerCount, 10) || 2;
+    return Math.min(Math.max(count, 2), this.defaultSettings.controls.length);
+  }
+
+  /**
+   * Get the seconds allowed per target
+   * @returns {number|null} Seconds, or null when there is no time limit ("none" is 100)
+   */
+  getTargetTime() {
+    const time = parseFloat(this.settings.time);
+    return time > 0 && time !== 100 ? time : null;
   }
 
   /**
@@ -102,9 +466,17 @@ export class Settings {
    */
   set(key, value) {
     this.settings[key] = value;
+    this.save();
     this.notifyListeners(key, value);
   }
 
+  /**
+   * Save the settings for the next session
+   */
+  save() {
+    saveStored(SETTINGS_STORAGE_KEY, this.settings);
+  }
+
   /**
    * Add a listener for settings changes
    * @param {Function} listener - Callback function(key, value)
@@ -123,10 +495,12 @@ export class Settings {
   }
 
   /**
-   * Reset settings to defaults
+   * Reset settings to defaults and forget the saved ones
    */
   reset() {
-    this.settings = {...this.defaultSettings};
+    this.settings = this.cloneDefaults();
+    removeStored(SETTINGS_STORAGE_KEY);
+    this.updateUIElements();
     Object.keys(this.settings).forEach(key => {
       this.notifyListeners(key, this.settings[key]);
     });
@@ -0,0 +1,52 @@
+/**
+ * Small JSON wrapper around localStorage for things kept between sessions.
+ * In the Tauri app the webview keeps localStorage in the app data directory,
+ * so the desktop build persists through the same calls.
+ */
+
+/**
+ * Prefix for every key, so several games on one origin don't collide
+ */
+const KEY_PREFIX = 'shaka-';
+
+/**
+ * Read a stored value
+ * @param {string} key - Key without the prefix
+ * @param {any} fallback - Value returned when nothing (valid) is stored
+ * @returns {any} The stored value or the fallback
+ */
+export function loadStored(key, fallback = null) {
+  try {
+    const raw = localStorage.getItem(KEY_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    // Storage disabled (private mode) or a corrupted entry
+    console.warn(`Could not load "${key}" from storage:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Store a value
+ * @param {string} key - Key without the prefix
+ * @param {any} value - JSON-serializable value
+ */
+export function saveStored(key, value) {
+  try {
+    localStorage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save "${key}" to storage:`, error);
+  }
+}
+
+/**
+ * Forget a stored value
+ * @param {string} key - Key without the prefix
+ */
+export function removeStored(key) {
+  try {
+    localStorage.removeItem(KEY_PREFIX + key);
+  } catch (error) {
+    console.warn(`Could not remove "${key}" from storage:`, error);
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Countdown for the current target that can be paused and resumed
+ */
+export class TargetTimer {
+  /**
+   * Create a new target timer
+   * @param {Object} callbacks - Timer callbacks
+   * @param {Function} callbacks.onTick - Called with the whole seconds left whenever they change
+   * @param {Function} callbacks.onExpire - Called once the time has run out
+   */
+  constructor(callbacks = {}) {
+    this.onTick = callbacks.onTick || (() => {});
+    this.onExpire = callbacks.onExpire || (() => {});
+    this.remaining = 0;
+    this.lastSecond = null;
+    this.endsAt = null;
+    this.interval = null;
+    this.paused = false;
+  }
+
+  /**
+   * Whether the timer is counting down or paused mid-count
+   * @returns {boolean} True if active
+   */
+  get active() {
+    return this.interval !== null || (this.paused && this.remaining > 0);
+  }
+
+  /**
+   * Start (or restart) the countdown
+   * @param {number} seconds - Time allowed for the target
+   */
+  start(seconds) {
+    this.stop();
+    this.remaining = seconds * 1000;
+    if (!this.paused) {
+      this.run();
+    }
+    this.tick();
+  }
+
+  /**
+   * Stop the countdown without expiring
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    this.endsAt = null;
+    this.remaining = 0;
+    this.lastSecond = null;
+  }
+
+  /**
+   * Freeze the countdown where it is
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+
+    if (this.interval !== null) {
+      this.remaining = Math.max(this.endsAt - Date.now(), 0);
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Continue a paused countdown
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+
+    if (this.remaining > 0) {
+      this.run();
+    }
+  }
+
+  /**
+   * Run the interval from the remaining time
+   */
+  run() {
+    this.endsAt = Date.now() + this.remaining;
+    this.interval = setInterval(() => this.tick(), 100);
+  }
+
+  /**
+   * Report the seconds left and expire when they are up
+   */
+  tick() {
+    if (this.endsAt !== null) {
+      this.remaining = Math.max(this.endsAt - Date.now(), 0);
+    }
+
+    const second = Math.ceil(this.remaining / 1000);
+    if (second !== this.lastSecond) {
+      this.lastSecond = second;
+      this.onTick(second);
+    }
+
+    if (this.remaining <= 0 && this.interval !== null) {
+      this.stop();
+      this.onExpire();
+    }
+  }
+}
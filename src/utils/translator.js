@@ -1,160 +1,215 @@
+import { DEFAULT_LOCALE, getLocale, getString } from './locales.js';
+import { OPERATORS } from './expressions.js';
+
+/**
+ * Language of the interface, set from the language setting
+ */
+let currentLanguage = DEFAULT_LOCALE;
+
+/**
+ * Switch the interface language
+ * @param {string} language - Locale pack ID
+ */
+export function setLanguage(language) {
+  currentLanguage = getLocale(language).id;
+}
+
+/**
+ * Get the interface language
+ * @returns {string} Locale pack ID
+ */
+export function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Get a UI string in the interface language, filling in {placeholders}
+ * @param {string} key - String key
+ * @param {Object} params - Values for the placeholders (optional)
+ * @returns {string} The string
+ */
+export function t(key, params = {}) {
+  return getString(currentLanguage, key).replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
+
+/**
+ * Translate the marked elements in a page:
+ * - data-i18n="<key>" sets the text (the element's other data-* values fill the placeholders)
+ * - data-i18n-placeholder="<key>" and data-i18n-title="<key>" set those attributes
+ * @param {ParentNode} root - Where to look (defaults to the whole document)
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n, element.dataset);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+}
+
+/**
+ * Normalize recognized speech or number words for comparing them:
+ * lower case, no accents or punctuation, hyphens and apostrophes as spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeSpoken(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[-'’]/g, ' ')
+    .replace(/[.,!?;:]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 /**
- * Translator class to handle number to word conversions in different languages
+ * Translator class to handle number to word conversions in different languages.
+ * The words come from the locale packs in src/locales (see locales.js); the
+ * UI strings go through t() above.
  */
 export class Translator {
-  /**
-   * Create a new translator
-   */
   constructor() {
-    // Define word lists for different languages
-    this.wordLists = {
-      kinyarwanda: [
-        'na', 'mirongo', 'rimwe', 'kabiri', 'gatatu', 'kane', 'gatanu', 'gatandatu', 'karindwi', 'umunane',
-        'ikenda', 'icumi', 'cumi', 'makumyabiri', 'itatu', 'ine', 'itanu', 'itandatu', 'irindwi',
-        'nane', 'ikenda', 'ijana', "n'"
-      ],
-      swahili: [
-        'na', 'moja', 'mbili', 'tatu', 'nne', 'tano', 'sita', 'saba', 'nane', 'kumi', 'ishirini', ''
-      ],
-      english: [
-        'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve',
-        'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty', 'thirty',
-        'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety', 'one hundred'
-      ],
-      france: [
-        'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
-        'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf',
-        'vingt', 'vingt-et-un', 'vingt-deux', 'vingt-trois', 'vingt-quatre', 'vingt-cinq', 'vingt-six',
-        'vingt-sept', 'vingt-huit', 'vingt-neuf', 'trente', 'trente-et-un', 'trente-deux', 'trente-trois',
-        'trente-quatre', 'trente-cinq', 'trente-six', 'trente-sept', 'trente-huit', 'trente-neuf',
-        'quarante', 'quarante-et-un', 'quarante-deux', 'quarante-trois', 'quarante-quatre', 'quarante-cinq',
-        'quarante-six', 'quarante-sept', 'quarante-huit', 'quarante-neuf', 'cinquante', 'cinquante-et-un',
-        'cinquante-et-deux', 'cinquante-trois', 'cinquante-quatre', 'cinquante-cinq', 'cinquante-six',
-        'cinquante-sept', 'cinquante-huit', 'cinquante-neuf', 'soixante', 'soixante-et-un', 'soixante-deux',
-        'soixante-trois', 'soixante-quatre', 'soixante-cinq', 'soixante-six', 'soixante-sept', 'soixante-huit',
-        'soixante-neuf', 'soixante-dix', 'soixante-dix-et-onze', 'soixante-dix-douze', 'soixante-dix-treize',
-        'soixante-dix-et-quatorze', 'soixante-dix-et-seize', 'soixante-dix-et-sept', 'soixante-dix-et-huit',
-        'soixante-dix-et-neuf', 'quatre-vingts', 'quatre-vingt-un', 'quatre-vingt-deux', 'quatre-vingt-trois',
-        'quatre-vingt-quatre', 'quatre-vingt-cinq', 'quatre-vingt-six', 'quatre-vingt-sept', 'quatre-vingt-huit',
-        'quatre-vingt-neuf', 'quatre-vingt-dix', 'quatre-vingt-onze', 'quatre-vingt-douze', 'quatre-vingt-treize',
-        'quatre-vingt-quatorze', 'quatre-vingt-quinze', 'quatre-vingt-seize', 'quatre-vingt-dix-sept',
-        'quatre-vingt-dix-huit', 'quatre-vingt-neuf', 'cent'
-      ],
-      roman: [
-        'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII', 'XIII', 'XIV', 'XV', 'XVI', 'XVII',
-        'XVIII', 'XIX', 'XX', 'XXI', 'XXII', 'XXIII', 'XXIV', 'XXV', 'XXVI', 'XXVII', 'XXVIII', 'XXIX', 'XXX', 'XXXI',
-        'XXXII', 'XXXIII', 'XXXIV', 'XXXV', 'XXXVI', 'XXXVII', 'XXXVIII', 'XXXIX', 'XL', 'XLI', 'XLII', 'XLIII', 'XLIV',
-        'XLV', 'XLVI', 'XLVII', 'XLVIII', 'XLIX', 'L', 'LI', 'LII', 'LIII', 'LIV', 'LV', 'LVI', 'LVII', 'LVIII', 'LIX',
-        'LX', 'LXI', 'LXII', 'LXIII', 'LXIV', 'LXV', 'LXVI', 'LXVII', 'LXVIII', 'LXIX', 'LXX', 'LXXI', 'LXXII', 'LXXIII',
-        'LXXIV', 'LXXV', 'LXXVI', 'LXXVII', 'LXXVIII', 'LXXIX', 'LXXX', 'LXXXI', 'LXXXII', 'LXXXIII', 'LXXXIV', 'LXXXV',
-        'LXXXVI', 'LXXXVII', 'LXXXVIII', 'LXXXIX', 'XC', 'XCI', 'XCII', 'XCIII', 'XCIV', 'XCV', 'XCVI', 'XCVII', 'XCVIII',
-        'XCIX', 'C'
-      ]
-    };
+    // Utterance being read and the one waiting for it (see speak)
+    this.currentUtterance = null;
+    this.pendingUtterance = null;
   }
 
   /**
    * Translate a number to a word in the specified language
    * @param {number} num - Number to translate
-   * @param {string} language - Target language
-   * @returns {string} Translated word
+   * @param {string} language - Locale pack ID
+   * @returns {string} Translated word (the digits when the pack has no word for it)
    */
   translateNumber(num, language) {
-    switch (language) {
-      case 'kinyarwanda':
-        return this.toKinyarwandaWord(num);
-      case 'english':
-        return this.toEnglishWord(num);
-      case 'france':
-        return this.toFrenchWord(num);
-      case 'roman':
-        return this.toRomanWord(num);
-      default:
-        return this.toEnglishWord(num);
-    }
+    return getLocale(language).numberToWords(num) ?? num.toString();
   }
 
   /**
-   * Translate a number to Kinyarwanda word
-   * @param {number} num - Number to translate
-   * @returns {string} Kinyarwanda word
+   * Put a math expression into words, e.g. 'seven plus five'
+   * @param {Array} tokens - Expression from makeExpression
+   * @param {string} language - Locale pack ID
+   * @returns {string} Words
    */
-  toKinyarwandaWord(num) {
-    // Placeholder for Kinyarwanda implementation
-    // This would need to be implemented based on the complex Kinyarwanda number system
-    return this.wordLists.kinyarwanda[num] || num.toString();
+  translateExpression(tokens, language) {
+    return tokens
+      .map(token => (typeof token === 'number' ? this.translateNumber(token, language) : getString(language, OPERATORS[token])))
+      .join(' ');
   }
 
   /**
-   * Translate a number to English word
-   * @param {number} num - Number to translate
-   * @returns {string} English word
+   * Map spoken words back to a number, the reverse of translateNumber
+   * @param {string} text - What was said, e.g. 'vingt et un' or '21'
+   * @param {string} language - Locale pack ID
+   * @param {Array} candidates - Numbers that could have been meant
+   * @param {Function} toWords - Words for a candidate (defaults to translateNumber;
+   *   letter and word boards pass their own, and digits are then not taken as numbers)
+   * @returns {number|null} The number, or null if the words match none
    */
-  toEnglishWord(num) {
-    const words = this.wordLists.english;
-    const string = num.toString();
-    let inWord = '';
-
-    if (string.length === 1) {
-      inWord = words[num - 1];
-    } else if (string.length === 2) {
-      if (string[0] === '1') {
-        inWord = words[parseInt(string[1]) + 9];
-      } else if (string[0] !== '0') {
-        if (string[1] === '0' && string !== '10') {
-          inWord = words[parseInt(string[0] - 1) + 18];
-        } else if (string[1] !== '0' && parseInt(string) > 20) {
-          inWord = `${words[parseInt(string[0] - 1) + 18]} ${words[parseInt(string[1] - 1)]}`;
-        }
-      }
-    } else if (string.length === 3 && string === '100') {
-      inWord = words[27];
+  parseNumber(text, language, candidates, toWords = null) {
+    const digits = String(text).trim().replace(/[.,!?]$/, '');
+    if (!toWords && /^-?\d+$/.test(digits)) {
+      return parseInt(digits, 10);
     }
 
-    return inWord || num.toString();
+    const spoken = normalizeSpoken(text);
+    const words = toWords || (num => this.translateNumber(num, language));
+    return candidates.find(num => normalizeSpoken(words(num)) === spoken) ?? null;
   }
 
   /**
-   * Translate a number to French word
-   * @param {number} num - Number to translate
-   * @returns {string} French word
+   * Get the text-to-speech voices for a language
+   * @param {string} lang - BCP 47 language tag, e.g. 'fr-FR'
+   * @returns {Array} Voices speaking that language, or every voice if none does
    */
-  toFrenchWord(num) {
-    // For numbers 1-100, we can directly index into the french words array
-    if (num >= 1 && num <= 100) {
-      return this.wordLists.france[num - 1];
-    }
-    return num.toString();
+  getVoices(lang) {
+    if (!('speechSynthesis' in window)) return [];
+
+    const voices = window.speechSynthesis.getVoices();
+    const primary = lang ? lang.split('-')[0].toLowerCase() : null;
+    const matching = voices.filter(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === primary);
+    return matching.length > 0 ? matching : voices;
   }
 
   /**
-   * Translate a number to Roman numeral
-   * @param {number} num - Number to translate
-   * @returns {string} Roman numeral
+   * Call back when the browser's voice list changes (it loads asynchronously)
+   * @param {Function} callback - Called with no arguments
    */
-  toRomanWord(num) {
-    // For numbers 1-100, we can directly index into the roman words array
-    if (num >= 1 && num <= 100) {
-      return this.wordLists.roman[num - 1];
+  onVoicesChanged(callback) {
+    if ('speechSynthesis' in window) {
+      window.speechSynthesis.addEventListener('voiceschanged', callback);
     }
-    return num.toString();
   }
 
   /**
-   * Read the text aloud
+   * Read the text aloud.
+   *
+   * With mode 'interrupt' any current and queued speech is dropped. With mode
+   * 'queue' the current utterance is allowed to finish and the text is read
+   * next; only the latest queued text is kept, so reading never falls behind
+   * when targets advance faster than speech.
    * @param {string} text - Text to read
-   * @param {number} speed - Reading speed
+   * @param {Object} options - Reading options
+   * @param {number} options.speed - Reading speed (default 1)
+   * @param {string} options.lang - BCP 47 language tag for the voice (optional)
+   * @param {string} options.voice - voiceURI of the voice to use (optional)
+   * @param {string} options.mode - 'interrupt' (default) or 'queue'
    */
-  speak(text, speed = 1) {
-    if ('speechSynthesis' in window) {
-      const utterance = new SpeechSynthesisUtterance(text);
-      utterance.rate = Number.isFinite(speed) ? speed : 1;
-      
-      // Cancel any ongoing speech
-      window.speechSynthesis.cancel();
-      
-      // Speak the new text
-      window.speechSynthesis.speak(utterance);
+  speak(text, options = {}) {
+    if (!('speechSynthesis' in window)) return;
+
+    const { speed = 1, lang = null, voice = null, mode = 'interrupt' } = options;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = Number.isFinite(speed) ? speed : 1;
+    if (lang) {
+      utterance.lang = lang;
+    }
+
+    const chosenVoice = voice && window.speechSynthesis.getVoices().find(v => v.voiceURI === voice);
+    if (chosenVoice) {
+      utterance.voice = chosenVoice;
+    }
+
+    utterance.onend = () => this.speakNext(utterance);
+    utterance.onerror = () => this.speakNext(utterance);
+
+    if (mode === 'queue' && this.currentUtterance && (window.speechSynthesis.speaking || window.speechSynthesis.pending)) {
+      this.pendingUtterance = utterance;
+      return;
     }
+
+    this.stopSpeaking();
+    this.currentUtterance = utterance;
+    window.speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Start the queued utterance once the current one is over
+   * @param {SpeechSynthesisUtterance} utterance - The utterance that ended
+   */
+  speakNext(utterance) {
+    // Ignore utterances that were cancelled and replaced
+    if (utterance !== this.currentUtterance) return;
+
+    this.currentUtterance = this.pendingUtterance || null;
+    this.pendingUtterance = null;
+    if (this.currentUtterance) {
+      window.speechSynthesis.speak(this.currentUtterance);
+    }
+  }
+
+  /**
+   * Stop reading and forget anything queued
+   */
+  stopSpeaking() {
+    if (!('speechSynthesis' in window)) return;
+
+    this.currentUtterance = null;
+    this.pendingUtterance = null;
+    window.speechSynthesis.cancel();
   }
-} 
\ No newline at end of file
+}
@@ -1,3 +1,16 @@
+import { t } from './translator.js';
+
+/**
+ * Icon shown next to a player's score for each power they are keeping
+ */
+const POWER_ICONS = {
+  steal: '🎯',
+  freeze: '❄️',
+  shuffle: '🔀',
+  reveal: '👁️',
+  block: '🚫'
+};
+
 /**
  * UIManager class to handle DOM interactions and UI updates
  */
@@ -13,13 +26,16 @@ export class UIManager {
       names: document.querySelector('#names'),
       playersName: document.querySelectorAll('#names dir.flip input'),
       flipInputs: document.querySelectorAll('#names dir.flip'),
-      startInputs: document.querySelectorAll('section#numbers-head input'),
+      playerTypes: document.querySelectorAll('#names select.player-type'),
       optionOpen: document.querySelector('button#startOption'),
       optionClose: document.querySelector('button#endOption'),
       optionParent: document.querySelector('#options'),
       optionInputs: document.querySelectorAll('#options #player-controls input'),
-      optionInputs1: document.querySelectorAll('#options #player-controls #controls1 input'),
-      optionInputs2: document.querySelectorAll('#options #player-controls #controls2 input'),
+      // Key binding inputs per player slot (#controls1, #controls2, ...)
+      controlInputs: [...document.querySelectorAll('#options #player-controls > div')].map(div => div.querySelectorAll('input')),
+      gamepadSelects: document.querySelectorAll('#options #player-controls select.gamepad-select'),
+      voiceSelect: document.querySelector('select#voice'),
+      voiceCommandsSelect: document.querySelector('select#voice-commands'),
       gameOver: document.querySelector('#game-over'),
       playerWithHighScore: document.querySelector('#game-over #winner span'),
       pages: document.querySelector('#pages')?.children
@@ -43,22 +59,6 @@ export class UIManager {
       });
     }
 
-    // Add event listener for the Play button
-    const playButton = document.querySelector('#numbersChoice');
-    if (playButton) {
-      playButton.addEventListener('click', () => {
-        const introPage = document.querySelector('#introPage');
-        if (introPage) {
-          introPage.style.display = 'none';
-        }
-        
-        // Show the names input section
-        if (this.elements.names) {
-          this.elements.names.style.display = 'flex';
-        }
-      });
-    }
-
     // Page selection events
     if (this.elements.pages) {
       Array.from(this.elements.pages).forEach(page => {
@@ -83,24 +83,352 @@ export class UIManager {
     }
   }
 
+  /**
+   * Leave the intro page for the player names screen
+   */
+  showNamesScreen() {
+    const introPage = document.querySelector('#introPage');
+    if (introPage) {
+      introPage.style.display = 'none';
+    }
+    
+    // Show the names input section
+    if (this.elements.names) {
+      this.elements.names.style.display = 'flex';
+    }
+  }
+
+  /**
+   * Fill the name inputs on the names screen
+   * @param {Array} names - Names per player slot
+   */
+  setPlayerNames(names) {
+    this.elements.playersName.forEach((input, i) => {
+      // CPU slots keep showing the CPU name
+      if (!input.readOnly) input.value = names[i] || '';
+    });
+  }
+
+  /**
+   * Bind the Human/CPU selects of the player slots
+   * @param {Function} callback - Function to call with (slot index, type)
+   */
+  bindPlayerTypeEvents(callback) {
+    this.elements.playerTypes.forEach((select, i) => {
+      select.addEventListener('change', () => callback(i, select.value));
+    });
+  }
+
+  /**
+   * Show a player slot as human or CPU
+   * @param {number} slot - Slot index (0-based)
+   * @param {string} type - 'human' or a CPU level
+   * @param {string} name - Name to show in the slot
+   */
+  setPlayerType(slot, type, name) {
+    const select = this.elements.playerTypes[slot];
+    const input = this.elements.playersName[slot];
+    const flip = this.elements.flipInputs[slot];
+    const isBot = type !== 'human';
+
+    if (select) select.value = type;
+    if (input) {
+      input.readOnly = isBot;
+      input.value = name;
+    }
+
+    // CPU players are ready straight away
+    if (flip) flip.classList.toggle('ready', isBot);
+    const startInput = this.getStartInput(slot);
+    if (isBot && startInput) {
+      startInput.value = name;
+    }
+  }
+
+  /**
+   * Get the name shown above the board for a player slot
+   * @param {number} slot - Slot index (0-based)
+   * @returns {HTMLInputElement|null} The input
+   */
+  getStartInput(slot) {
+    return document.querySelector(`section#numbers-head input#player${slot + 1}-input`);
+  }
+
+  /**
+   * Show the slots of the players in play on the names and options screens
+   * and give each of them a name and score above the board
+   * @param {Array} players - Players in play
+   */
+  setPlayerCount(players) {
+    if (this.elements.names) {
+      this.elements.names.dataset.players = players.length;
+    }
+    document.querySelectorAll('#options #player-controls > div').forEach((div, i) => {
+      div.style.display = i < players.length ? '' : 'none';
+    });
+    this.renderScoreboard(players);
+  }
+
+  /**
+   * Build the names and scores around the target: odd players on the left,
+   * even players on the right, players 1 and 2 on the outside
+   * @param {Array} players - Players in play
+   */
+  renderScoreboard(players) {
+    const head = document.querySelector('section#numbers-head');
+    const target = head?.querySelector(':scope > div');
+    if (!target) return;
+
+    [...head.children].forEach(child => {
+      if (child !== target) child.remove();
+    });
+    head.dataset.players = players.length;
+
+    players.forEach(player => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.id = `player${player.index}-input`;
+      // Follow the current theme
+      input.className = target.className;
+      input.value = player.name;
+
+      const score = document.createElement('span');
+      score.id = `player${player.index}`;
+      score.textContent = player.score;
+
+      if (player.index % 2 === 1) {
+        target.before(input, score);
+      } else {
+        target.after(score, input);
+      }
+    });
+  }
+
+  /**
+   * Show the key bindings in the options screen
+   * @param {Array} controls - Controls per player slot
+   */
+  setControlInputs(controls) {
+    this.elements.controlInputs.forEach((inputs, i) => {
+      if (!inputs || !controls[i]) return;
+      ['up', 'right', 'down', 'left', 'confirm', 'power'].forEach((action, j) => {
+        if (inputs[j]) inputs[j].value = controls[i][action];
+      });
+    });
+  }
+
+  /**
+   * List the connected gamepads in each player's select
+   * @param {Array} pads - Connected pads { index, id }
+   * @param {Array} assignments - Pad index per player slot (null for none)
+   */
+  updateGamepadSelects(pads, assignments) {
+    this.elements.gamepadSelects.forEach((select, i) => {
+      select.innerHTML = '';
+      select.add(new Option(t('gamepadNone'), ''));
+      pads.forEach(pad => {
+        select.add(new Option(`${t('pad', { index: pad.index + 1 })}: ${pad.id.slice(0, 30)}`, String(pad.index)));
+      });
+
+      // Keep showing an assigned pad that is unplugged right now
+      const assigned = assignments[i];
+      if (assigned !== null && !pads.some(pad => pad.index === assigned)) {
+        select.add(new Option(t('padDisconnected', { index: assigned + 1 }), String(assigned)));
+      }
+      select.value = assigned === null ? '' : String(assigned);
+    });
+  }
+
+  /**
+   * Bind the gamepad selects in the options screen
+   * @param {Function} callback - Function to call with (slot index, pad index or null)
+   */
+  bindGamepadSelects(callback) {
+    this.elements.gamepadSelects.forEach((select, i) => {
+      select.addEventListener('change', () => {
+        callback(i, select.value === '' ? null : parseInt(select.value, 10));
+      });
+    });
+  }
+
+  /**
+   * List the text-to-speech voices in the voice select
+   * @param {Array} voices - SpeechSynthesisVoice objects
+   * @param {string} selected - voiceURI of the chosen voice ('' for automatic)
+   */
+  updateVoiceSelect(voices, selected) {
+    const select = this.elements.voiceSelect;
+    if (!select) return;
+
+    select.innerHTML = '';
+    select.add(new Option(t('voiceAuto'), ''));
+    voices.forEach(voice => {
+      select.add(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+    });
+    select.value = voices.some(voice => voice.voiceURI === selected) ? selected : '';
+  }
+
+  /**
+   * Bind the voice select
+   * @param {Function} callback - Called with the chosen voiceURI ('' for automatic)
+   */
+  bindVoiceSelect(callback) {
+    const select = this.elements.voiceSelect;
+    if (select) {
+      select.addEventListener('change', () => callback(select.value));
+    }
+  }
+
+  /**
+   * Disable the voice control option where speech recognition is missing
+   * @param {boolean} available - Whether voice commands can be used
+   */
+  setVoiceCommandsAvailable(available) {
+    const select = this.elements.voiceCommandsSelect;
+    if (!select) return;
+
+    select.disabled = !available;
+    if (available) {
+      select.removeAttribute('data-i18n-title');
+      select.title = '';
+    } else {
+      select.dataset.i18nTitle = 'voiceUnsupported';
+      select.title = t('voiceUnsupported');
+    }
+  }
+
+  /**
+   * Bind the Reset to defaults button
+   * @param {Function} callback - Function to call to reset the settings
+   */
+  bindResetSettings(callback) {
+    const resetButton = document.querySelector('button#resetSettings');
+    if (resetButton) {
+      resetButton.addEventListener('click', callback);
+    }
+  }
+
+  /**
+   * Bind the Play button
+   * @param {Function} callback - Function to call before the names screen opens
+   */
+  bindPlay(callback) {
+    const playButton = document.querySelector('#numbersChoice');
+    if (playButton) {
+      playButton.addEventListener('click', () => {
+        callback();
+        this.showNamesScreen();
+      });
+    }
+  }
+
+  /**
+   * Bind the Daily Challenge button
+   * @param {Function} callback - Function to call before the names screen opens
+   */
+  bindDailyChallenge(callback) {
+    const dailyButton = document.querySelector('#dailyChoice');
+    if (dailyButton) {
+      dailyButton.addEventListener('click', () => {
+        callback();
+        this.showNamesScreen();
+      });
+    }
+  }
+
+  /**
+   * Bind the buttons of the History page
+   * @param {Object} callbacks - History callbacks
+   * @param {Function} callbacks.exportJSON - Download the history as JSON
+   * @param {Function} callbacks.exportCSV - Download the history as CSV
+   * @param {Function} callbacks.watch - Play back the match with the given ID
+   * @param {Function} callbacks.clear - Forget every match (after the user agrees)
+   */
+  bindHistoryEvents(callbacks) {
+    document.querySelector('button#exportJson')?.addEventListener('click', callbacks.exportJSON);
+    document.querySelector('button#exportCsv')?.addEventListener('click', callbacks.exportCSV);
+    // The list is rebuilt often, so its replay buttons are handled here
+    document.querySelector('ol#history-list')?.addEventListener('click', event => {
+      const button = event.target.closest('button[data-match-id]');
+      if (button) callbacks.watch(Number(button.dataset.matchId));
+    });
+    document.querySelector('button#clearHistory')?.addEventListener('click', () => {
+      if (window.confirm(t('clearHistoryConfirm'))) callbacks.clear();
+    });
+  }
+
+  /**
+   * List matches on the History page: a summary line per match that opens
+   * onto the seed, language, the time each target was found and, for
+   * recorded games, a button to watch the replay
+   * @param {Array} matches - Match records, newest first (see match-history.js)
+   */
+  renderHistory(matches) {
+    const list = document.querySelector('ol#history-list');
+    if (!list) return;
+
+    const empty = document.querySelector('#history-empty');
+    if (empty) empty.style.display = matches.length > 0 ? 'none' : '';
+
+    const modes = { local: 'modeLocal', daily: 'dailyChallenge', online: 'modeOnline' };
+    list.innerHTML = '';
+    matches.forEach(match => {
+      const details = document.createElement('details');
+
+      const summary = document.createElement('summary');
+      const date = new Date(match.date).toLocaleString(document.documentElement.lang || undefined);
+      const scores = match.players.map(player => `${player.name} ${player.score}`).join(' · ');
+      summary.textContent = `${date} — ${t(modes[match.mode] || 'modeLocal')}: ${scores}`;
+      details.appendChild(summary);
+
+      const info = document.createElement('p');
+      info.textContent = `${t('seed')} ${match.seed ?? '-'} · ${match.language}`;
+      details.appendChild(info);
+
+      const finds = document.createElement('ol');
+      match.finds.forEach(find => {
+        const item = document.createElement('li');
+        item.textContent = t('foundAt', { target: find.target, player: find.player, seconds: (find.time / 1000).toFixed(1) });
+        finds.appendChild(item);
+      });
+      details.appendChild(finds);
+
+      if (match.replay) {
+        const watch = document.createElement('button');
+        watch.className = 'watch-replay';
+        watch.dataset.matchId = match.id;
+        watch.textContent = t('watchReplay');
+        details.appendChild(watch);
+      }
+
+      const item = document.createElement('li');
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+  }
+
   /**
    * Handle key events for a specific player
    * @param {Player} player - The player object
    * @param {Function} moveCallback - Function to call on move
    * @param {Function} checkCallback - Function to call on check
+   * @param {Function} powerCallback - Function to call on the power key
    */
-  bindPlayerKeyEvents(player, moveCallback, checkCallback) {
+  bindPlayerKeyEvents(player, moveCallback, checkCallback, powerCallback = () => {}) {
     document.addEventListener('keydown', (event) => {
       if (event.code === player.controls.right) {
-        moveCallback(1, event.keyCode);
+        moveCallback('right', event.keyCode);
       } else if (event.code === player.controls.left) {
-        moveCallback(-1, event.keyCode);
+        moveCallback('left', event.keyCode);
       } else if (event.code === player.controls.down) {
-        moveCallback(10, event.keyCode);
+        moveCallback('down', event.keyCode);
       } else if (event.code === player.controls.up) {
-        moveCallback(-10, event.keyCode);
+        moveCallback('up', event.keyCode);
       } else if (event.code === player.controls.confirm) {
         checkCallback(player.positionIndex);
+      } else if (event.code === player.controls.power) {
+        powerCallback();
       }
     });
   }
@@ -134,22 +462,33 @@ export class UIManager {
 
   /**
    * Bind pause game event
+   * @param {Function} callback - Function to call with the new paused state (optional)
    */
-  bindPauseEvent() {
+  bindPauseEvent(callback = () => {}) {
     document.addEventListener('keydown', e => {
       if (e.keyCode === 32) { // Spacebar
-        this.togglePause();
+        callback(this.togglePause());
       }
     });
   }
 
   /**
    * Toggle game pause state
+   * @returns {boolean} True if the game is now paused
    */
   togglePause() {
     if (this.elements.cover) {
       this.elements.cover.classList.toggle('pause');
     }
+    return this.isPaused();
+  }
+
+  /**
+   * Whether the pause cover is showing (it slides away with the 'pause' class)
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return !!this.elements.cover && !this.elements.cover.classList.contains('pause');
   }
 
   /**
@@ -198,73 +537,125 @@ export class UIManager {
     }
   }
 
+  /**
+   * Update the countdown shown next to the target
+   * @param {number|null} seconds - Seconds left, or null to hide the timer
+   */
+  updateTargetTimer(seconds) {
+    const timerElement = document.querySelector('section#numbers-head span#target-timer');
+    if (!timerElement) return;
+
+    timerElement.textContent = seconds === null ? '' : `${seconds}s`;
+    timerElement.classList.toggle('running-out', seconds !== null && seconds <= 2);
+  }
+
   /**
    * Update player score display
    * @param {Player} player - The player
-   * @param {number} opponentFoundCount - Number of elements found by opponent
    */
-  updatePlayerScore(player, opponentFoundCount) {
-    const scoreElement = document.querySelector(`section#numbers-head span#player${player.index === 1 ? 2 : 1}`);
+  updatePlayerScore(player) {
+    const scoreElement = document.querySelector(`section#numbers-head span#player${player.index}`);
     if (scoreElement) {
-      player.score = opponentFoundCount;
       scoreElement.textContent = player.score;
+      // Powers waiting for the power key
+      const icons = (player.powerUps || []).map(powerUp => POWER_ICONS[powerUp]).join('');
+      if (icons) {
+        scoreElement.dataset.powerUps = icons;
+      } else {
+        delete scoreElement.dataset.powerUps;
+      }
     }
   }
 
+  /**
+   * Show that a freeze is holding a player still
+   * @param {Object} player - Player (or engine player state) that was frozen
+   * @param {number} seconds - How long the freeze lasts
+   */
+  showFrozen(player, seconds) {
+    const input = document.querySelector(`section#numbers-head input#player${player.index}-input`);
+    if (!input) return;
+
+    input.classList.add('frozen');
+    clearTimeout(input.frozenTimer);
+    input.frozenTimer = setTimeout(() => input.classList.remove('frozen'), seconds * 1000);
+  }
+
   /**
    * Display the game over screen with player statistics
-   * @param {Player} player1 - First player
-   * @param {Player} player2 - Second player
+   * @param {Array} players - Players in play
+   * @param {string} seed - Seed of the board that was played
    */
-  showGameOver(player1, player2) {
+  showGameOver(players, seed) {
     if (!this.elements.gameOver) return;
     
-    // Get all the elements we need to update
-    const names = this.elements.gameOver.querySelectorAll('.names p');
-    const moves = this.elements.gameOver.querySelectorAll('#move span');
-    const powers = this.elements.gameOver.querySelectorAll('#power span');
-    const saves = this.elements.gameOver.querySelectorAll('#saves span');
-    const stolens = this.elements.gameOver.querySelectorAll('#stolen span');
-    const scores = this.elements.gameOver.querySelectorAll('#score span dir');
-
     // Update the game over screen
     this.elements.gameOver.style.display = 'flex';
     
-    // Set player names
-    if (names[0]) names[0].textContent = player1.name;
-    if (names[1]) names[1].textContent = player2.name;
-    
-    // Set player stats - using moveCount instead of move
-    if (moves[0]) moves[0].textContent = player1.moveCount;
-    if (moves[1]) moves[1].textContent = player2.moveCount;
-    
-    if (powers[0]) powers[0].textContent = player1.power;
-    if (powers[1]) powers[1].textContent = player2.power;
-    
-    if (saves[0]) saves[0].textContent = player1.saves;
-    if (saves[1]) saves[1].textContent = player2.saves;
-    
-    if (stolens[0]) stolens[0].textContent = player1.stolen;
-    if (stolens[1]) stolens[1].textContent = player2.stolen;
+    // Set player names, in the order of the columns below
+    const names = this.elements.gameOver.querySelector('.names');
+    if (names) {
+      const left = players.filter(player => player.index % 2 === 1);
+      const right = players.filter(player => player.index % 2 === 0).reverse();
+      names.innerHTML = '';
+      [...left, ...right].forEach(player => {
+        const name = document.createElement('p');
+        name.className = `player${player.index}`;
+        name.textContent = player.name;
+        names.append(name);
+      });
+    }
     
-    if (scores[0]) scores[0].textContent = player2.score;
-    if (scores[1]) scores[1].textContent = player1.score;
+    // Set player stats, one column per player around the row label
+    const stats = {
+      move: player => player.moveCount,
+      power: player => player.power,
+      saves: player => player.saves,
+      stolen: player => player.stolen,
+      score: player => player.score
+    };
+    Object.entries(stats).forEach(([id, value]) => {
+      const row = this.elements.gameOver.querySelector(`div.bord#${id}`);
+      const label = row?.querySelector('p');
+      if (!label) return;
+      
+      row.querySelectorAll(':scope > span').forEach(span => span.remove());
+      players.forEach(player => {
+        const span = document.createElement('span');
+        span.className = `player${player.index}`;
+        if (id === 'score') {
+          span.innerHTML = `<div class="cover${player.index}"></div><dir>${value(player)}</dir>`;
+        } else {
+          span.textContent = value(player);
+        }
+        // Same sides as the scoreboard: odd players left, even players right
+        if (player.index % 2 === 1) {
+          label.before(span);
+        } else {
+          label.after(span);
+        }
+      });
+    });
     
-    // Determine winner
+    // Determine winner (everyone with the best score when it is shared)
     if (this.elements.playerWithHighScore) {
-      if (parseInt(player1.score) > parseInt(player2.score)) {
-        this.elements.playerWithHighScore.textContent = player2.name;
-      } else if (parseInt(player2.score) > parseInt(player1.score)) {
-        this.elements.playerWithHighScore.textContent = player1.name;
-      } else {
-        this.elements.playerWithHighScore.textContent = 'Tie: ' + player1.name + ' & ' + player2.name;
-      }
+      const best = Math.max(...players.map(player => player.score));
+      const winners = players.filter(player => player.score === best);
+      this.elements.playerWithHighScore.textContent = winners.length === 1
+        ? winners[0].name
+        : t('tie', { names: winners.map(player => player.name).join(' & ') });
+    }
+    
+    // Show the seed so the board can be played again
+    const seedElement = this.elements.gameOver.querySelector('#seed span:last-child');
+    if (seedElement) {
+      seedElement.textContent = seed || '-';
     }
     
     // Update target display
     const targetElement = document.querySelector('section#numbers-head span#current-target');
     if (targetElement && targetElement.parentElement) {
-      targetElement.parentElement.textContent = 'Done';
+      targetElement.parentElement.textContent = t('done');
     }
   }
 
@@ -301,7 +692,7 @@ export class UIManager {
     const startButton = document.querySelector('#numbers #start');
     if (!startButton) return index;
     
-    startButton.innerHTML = levels[index];
+    startButton.innerHTML = typeof levels[index] === 'string' ? t(levels[index]) : levels[index];
     
     // Check if this is the last step in the countdown
     if (index >= levels.length - 1) {
@@ -0,0 +1,290 @@
+import { getLocale, getString } from './locales.js';
+import { normalizeSpoken } from './translator.js';
+
+/**
+ * Spoken command words, as UI string keys holding '|'-separated alternatives
+ */
+const COMMAND_KEYS = {
+  up: 'voiceUp',
+  right: 'voiceRight',
+  down: 'voiceDown',
+  left: 'voiceLeft',
+  confirm: 'voiceConfirm'
+};
+
+/*
+ * A recognizer is any object with:
+ * - `lang`                    BCP 47 tag of the language to listen for
+ * - `onResult(transcripts)`   set by VoiceInput, called with the alternatives heard for one phrase
+ * - `start()` and `stop()`
+ * WebSpeechRecognizer is used where the browser has speech recognition;
+ * ScriptedRecognizer (or any other object of that shape) can be plugged in instead.
+ */
+
+/**
+ * Recognizer backed by the Web Speech API (SpeechRecognition)
+ */
+export class WebSpeechRecognizer {
+  /**
+   * Check whether the browser can recognize speech
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+  }
+
+  /**
+   * Create a new recognizer
+   */
+  constructor() {
+    this.lang = 'en-US';
+    this.onResult = () => {};
+    this.listening = false;
+
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    this.recognition = new Recognition();
+    this.recognition.continuous = true;
+    this.recognition.interimResults = false;
+    this.recognition.maxAlternatives = 3;
+
+    this.recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        if (result.isFinal) {
+          this.onResult([...result].map(alternative => alternative.transcript));
+        }
+      }
+    };
+
+    // Browsers end recognition after a silence; keep listening until stopped
+    this.recognition.onend = () => {
+      if (this.listening) this.listen();
+    };
+
+    this.recognition.onerror = (event) => {
+      console.warn('Speech recognition error:', event.error);
+      if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+        this.listening = false;
+      }
+    };
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    this.listening = true;
+    this.listen();
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    this.listening = false;
+    this.recognition.stop();
+  }
+
+  /**
+   * (Re)start the underlying recognition in the current language
+   */
+  listen() {
+    this.recognition.lang = this.lang;
+    try {
+      this.recognition.start();
+    } catch (error) {
+      // Already started
+    }
+  }
+}
+
+/**
+ * Recognizer driven by hand, for trying voice commands without a microphone
+ * and in the tests: plug it in with VoiceInput.setRecognizer() and call say('twelve')
+ */
+export class ScriptedRecognizer {
+  /**
+   * Create a new scripted recognizer
+   */
+  constructor() {
+    this.lang = 'en-US';
+    this.onResult = () => {};
+    this.listening = false;
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    this.listening = true;
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    this.listening = false;
+  }
+
+  /**
+   * Pretend a phrase was heard
+   * @param {...string} transcripts - The phrase, and optionally other alternatives
+   */
+  say(...transcripts) {
+    if (this.listening) {
+      this.onResult(transcripts);
+    }
+  }
+}
+
+/**
+ * Turns recognized speech into game input: a number on the board, or the
+ * words for up/right/down/left/select in the current language
+ */
+export class VoiceInput {
+  /**
+   * Create a new voice input
+   * @param {Object} config - Voice input configuration
+   * @param {Translator} config.translator - Maps spoken number words back to numbers
+   * @param {Function} config.getNumbers - Returns the numbers on the board
+   * @param {Function} config.getWords - Returns a function giving what a board number is
+   *   called on letter and word boards, or null on number boards (optional)
+   * @param {Function} config.onNumber - Called with a number that was said
+   * @param {Function} config.onMove - Called with 'up', 'right', 'down' or 'left'
+   * @param {Function} config.onConfirm - Called when "select" was said
+   * @param {Object} config.recognizer - Recognizer to use (defaults to the Web Speech one, if supported)
+   */
+  constructor(config) {
+    this.translator = config.translator;
+    this.getNumbers = config.getNumbers;
+    this.getWords = config.getWords || (() => null);
+    this.onNumber = config.onNumber || (() => {});
+    this.onMove = config.onMove || (() => {});
+    this.onConfirm = config.onConfirm || (() => {});
+    this.language = 'english';
+    this.listening = false;
+
+    this.setRecognizer(config.recognizer || (WebSpeechRecognizer.isSupported() ? new WebSpeechRecognizer() : null));
+  }
+
+  /**
+   * Check whether voice commands can be used
+   * @returns {boolean} True if there is a recognizer
+   */
+  get available() {
+    return this.recognizer !== null;
+  }
+
+  /**
+   * Swap the recognizer, e.g. for a ScriptedRecognizer
+   * @param {Object|null} recognizer - The recognizer
+   */
+  setRecognizer(recognizer) {
+    const wasListening = this.listening;
+    this.stop();
+
+    this.recognizer = recognizer;
+    if (this.recognizer) {
+      this.recognizer.lang = getLocale(this.language).lang;
+      this.recognizer.onResult = transcripts => this.handleResult(transcripts);
+    }
+
+    if (wasListening) this.start();
+  }
+
+  /**
+   * Listen for commands in a language
+   * @param {string} language - Locale pack ID
+   */
+  setLanguage(language) {
+    this.language = language;
+    if (!this.recognizer) return;
+
+    this.recognizer.lang = getLocale(language).lang;
+    if (this.listening) {
+      // Restart so the recognizer picks up the new language
+      this.recognizer.stop();
+      this.recognizer.start();
+    }
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    if (!this.recognizer || this.listening) return;
+    this.listening = true;
+    this.recognizer.start();
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (!this.recognizer || !this.listening) return;
+    this.listening = false;
+    this.recognizer.stop();
+  }
+
+  /**
+   * Act on the first alternative that makes sense
+   * @param {Array} transcripts - Alternatives heard for one phrase
+   */
+  handleResult(transcripts) {
+    for (const transcript of transcripts) {
+      const commands = this.parse(transcript);
+      if (commands.length > 0) {
+        commands.forEach(command => this.run(command));
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read a phrase as a number (or letter, word, ...) on the board, or as a
+   * series of command words ("left left up")
+   * @param {string} transcript - The phrase
+   * @returns {Array} Commands as { type: 'number', number }, { type: 'move', direction } or { type: 'confirm' }
+   */
+  parse(transcript) {
+    // On letter and word boards the cells are called by their content, not their number
+    const number = this.translator.parseNumber(transcript, this.language, this.getNumbers(), this.getWords());
+    if (number !== null) {
+      return [{ type: 'number', number }];
+    }
+
+    const words = this.getCommandWords();
+    return normalizeSpoken(transcript).split(' ')
+      .map(word => words.get(word))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the command words of the current language
+   * @returns {Map} Normalized word -> command
+   */
+  getCommandWords() {
+    const words = new Map();
+    Object.entries(COMMAND_KEYS).forEach(([action, key]) => {
+      const command = action === 'confirm' ? { type: 'confirm' } : { type: 'move', direction: action };
+      getString(this.language, key).split('|').forEach(word => {
+        words.set(normalizeSpoken(word), command);
+      });
+    });
+    return words;
+  }
+
+  /**
+   * Pass a command on to the game
+   * @param {Object} command - Command from parse()
+   */
+  run(command) {
+    if (command.type === 'number') {
+      this.onNumber(command.number);
+    } else if (command.type === 'move') {
+      this.onMove(command.direction);
+    } else {
+      this.onConfirm();
+    }
+  }
+}
@@ -0,0 +1,219 @@
+import { describe, it, expect } from 'vitest';
+import { GameEngine } from '../src/engine/game-engine.js';
+
+/**
+ * Board numbers laid out in order, so position n holds the number n
+ */
+const NUMBERS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+/**
+ * Make a running engine on a 3x4 board with two players, Alice on the top
+ * left corner and Bob on the top right
+ * @param {Object} config - Extra engine configuration
+ * @returns {GameEngine} The engine
+ */
+function startEngine(config = {}) {
+  const engine = new GameEngine({ rows: 3, cols: 4, ...config });
+  engine.addPlayer(GameEngine.createPlayerState({ id: 'alice', index: 1, position: 1 }));
+  engine.addPlayer(GameEngine.createPlayerState({ id: 'bob', index: 2, position: 4 }));
+  engine.setup(NUMBERS, 'engine-test');
+  engine.start();
+  return engine;
+}
+
+/**
+ * Confirm the current target for a player
+ * @param {GameEngine} engine - The engine
+ * @param {string} playerId - Player ID
+ * @returns {Object|null} Confirm result
+ */
+function findTarget(engine, playerId) {
+  return engine.confirm(playerId, engine.getPositionOf(engine.currentTarget));
+}
+
+/**
+ * Play until Alice steals Bob's only cell (position 2) with a streak of three
+ * @param {GameEngine} engine - The engine
+ * @returns {Object} Result of the confirm that completed the streak
+ */
+function stealFromBob(engine) {
+  findTarget(engine, 'alice');
+  findTarget(engine, 'bob');
+  findTarget(engine, 'alice');
+  findTarget(engine, 'alice');
+  return findTarget(engine, 'alice');
+}
+
+describe('GameEngine.confirm', () => {
+  it('finds the current target and moves on to the next one', () => {
+    const engine = startEngine();
+    const result = engine.confirm('alice', 1);
+
+    expect(result).toMatchObject({ type: 'found', position: 1, target: 1, steals: [], victimId: null });
+    expect(engine.cells[0].foundBy).toBe('alice');
+    expect(engine.currentTarget).toBe(2);
+    expect(engine.getPlayer('alice').score).toBe(1);
+  });
+
+  it('does nothing on a cell that is not the target', () => {
+    const engine = startEngine();
+    expect(engine.confirm('alice', 5)).toBeNull();
+    expect(engine.currentTarget).toBe(1);
+  });
+
+  it('lets a skipped target be found later without holding up the current one', () => {
+    const engine = startEngine();
+    engine.expireTarget('skip');
+    expect(engine.currentTarget).toBe(2);
+
+    const result = engine.confirm('bob', 1);
+    expect(result).toMatchObject({ type: 'found', target: 1 });
+    expect(engine.skippedTargets).toEqual([]);
+    expect(engine.currentTarget).toBe(2);
+  });
+
+  it('steals an opponent cell at the end of a streak', () => {
+    const engine = startEngine();
+    const result = stealFromBob(engine);
+
+    expect(result).toMatchObject({ type: 'found', target: 5, stolenPosition: 2, victimId: 'bob' });
+    expect(engine.cells[1]).toEqual({ foundBy: null, stolenBy: 'alice' });
+    expect(engine.getPlayer('bob').score).toBe(0);
+  });
+
+  it('lets the thief recover a stolen cell', () => {
+    const engine = startEngine();
+    stealFromBob(engine);
+
+    expect(engine.confirm('alice', 2)).toEqual({ type: 'recovered', position: 2 });
+    expect(engine.cells[1]).toEqual({ foundBy: 'alice', stolenBy: null });
+    expect(engine.getPlayer('alice').stolen).toBe(1);
+  });
+
+  it('lets another player save a stolen cell', () => {
+    const engine = startEngine();
+    stealFromBob(engine);
+
+    expect(engine.confirm('bob', 2)).toEqual({ type: 'saved', position: 2, victimId: 'alice' });
+    expect(engine.cells[1]).toEqual({ foundBy: 'bob', stolenBy: null });
+    expect(engine.getPlayer('bob').saves).toBe(1);
+  });
+});
+
+describe('GameEngine.getNeighbour', () => {
+  it('steps inside the board the same way in both modes', () => {
+    ['wrap', 'clamp'].forEach(edges => {
+      const engine = new GameEngine({ rows: 3, cols: 4, edges });
+      expect(engine.getNeighbour(6, 'up')).toBe(2);
+      expect(engine.getNeighbour(6, 'right')).toBe(7);
+      expect(engine.getNeighbour(6, 'down')).toBe(10);
+      expect(engine.getNeighbour(6, 'left')).toBe(5);
+    });
+  });
+
+  it('comes back in on the opposite side in wrap mode', () => {
+    const engine = new GameEngine({ rows: 3, cols: 4, edges: 'wrap' });
+    expect(engine.getNeighbour(1, 'up')).toBe(9);
+    expect(engine.getNeighbour(4, 'right')).toBe(1);
+    expect(engine.getNeighbour(12, 'down')).toBe(4);
+    expect(engine.getNeighbour(9, 'left')).toBe(12);
+  });
+
+  it('stops at the edge in clamp mode', () => {
+    const engine = new GameEngine({ rows: 3, cols: 4, edges: 'clamp' });
+    expect(engine.getNeighbour(1, 'up')).toBe(1);
+    expect(engine.getNeighbour(4, 'right')).toBe(4);
+    expect(engine.getNeighbour(12, 'down')).toBe(12);
+    expect(engine.getNeighbour(9, 'left')).toBe(9);
+  });
+});
+
+describe('GameEngine power counter', () => {
+  it('counts a streak and starts again when an opponent finds a target', () => {
+    const engine = startEngine();
+    findTarget(engine, 'alice');
+    findTarget(engine, 'alice');
+    expect(engine.getPlayer('alice').powerCounter).toBe(2);
+
+    findTarget(engine, 'bob');
+    expect(engine.getPlayer('alice').powerCounter).toBe(0);
+    expect(engine.getPlayer('bob').powerCounter).toBe(1);
+  });
+
+  it('earns one power per streak unless the reset rule is on', () => {
+    const engine = startEngine({ powerRules: { streak: 2, powerUp: 'freeze' } });
+    for (let i = 0; i < 4; i++) findTarget(engine, 'alice');
+    expect(engine.getPlayer('alice').power).toBe(1);
+    expect(engine.getPlayer('alice').powerCounter).toBe(4);
+  });
+
+  it('earns a power every streak with the reset rule on', () => {
+    const engine = startEngine({ powerRules: { streak: 2, reset: true, powerUp: 'freeze' } });
+    for (let i = 0; i < 4; i++) findTarget(engine, 'alice');
+    expect(engine.getPlayer('alice').power).toBe(2);
+    expect(engine.getPlayer('alice').powerCounter).toBe(0);
+    expect(engine.getPlayer('alice').powerUps).toEqual(['freeze', 'freeze']);
+  });
+
+  it('starts again after a recovery or a save', () => {
+    const engine = startEngine();
+    stealFromBob(engine);
+    findTarget(engine, 'bob');
+    expect(engine.getPlayer('bob').powerCounter).toBe(1);
+
+    engine.confirm('bob', 2);
+    expect(engine.getPlayer('bob').powerCounter).toBe(0);
+  });
+});
+
+describe('GameEngine.isOver', () => {
+  it('is over once the last target has been passed', () => {
+    const engine = startEngine();
+    for (let i = 0; i < NUMBERS.length - 1; i++) engine.expireTarget('unclaimed');
+    expect(engine.isOver()).toBe(false);
+
+    engine.expireTarget('unclaimed');
+    expect(engine.isOver()).toBe(true);
+    expect(engine.running).toBe(false);
+  });
+
+  it('ends on a majority only with majorityWins', () => {
+    const local = startEngine({ powers: false });
+    const online = startEngine({ powers: false, majorityWins: true });
+    // 12 targets: the seventh find is a majority
+    for (let i = 0; i < 6; i++) {
+      findTarget(local, 'alice');
+      findTarget(online, 'alice');
+    }
+    expect(online.isOver()).toBe(false);
+
+    findTarget(local, 'alice');
+    findTarget(online, 'alice');
+    expect(local.isOver()).toBe(false);
+    expect(online.isOver()).toBe(true);
+    expect(online.running).toBe(false);
+  });
+});
+
+describe('GameEngine state', () => {
+  it('brings another engine to the same state with getState and applyState', () => {
+    const engine = startEngine();
+    stealFromBob(engine);
+    findTarget(engine, 'bob');
+    const state = engine.getState();
+
+    const copy = new GameEngine({ rows: state.rows, cols: state.cols, edges: state.edges });
+    copy.addPlayer(GameEngine.createPlayerState({ id: 'alice', index: 1, position: 1 }));
+    copy.addPlayer(GameEngine.createPlayerState({ id: 'bob', index: 2, position: 4 }));
+    copy.setup(state.board, state.seed, state.targets);
+    copy.start();
+
+    const changed = [];
+    copy.on('cell', ({ position }) => changed.push(position));
+    copy.applyState(state);
+
+    expect(copy.getState()).toEqual(state);
+    expect(changed).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(copy.players.map(player => player.score)).toEqual(engine.players.map(player => player.score));
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { Translator } from '../src/utils/translator.js';
+
+/**
+ * Known-correct Kinyarwanda counting forms for 1-100
+ */
+const KINYARWANDA_NUMBERS = {
+  1: 'rimwe', 2: 'kabiri', 3: 'gatatu', 4: 'kane', 5: 'gatanu',
+  6: 'gatandatu', 7: 'karindwi', 8: 'umunani', 9: 'icyenda', 10: 'icumi',
+  11: 'cumi na rimwe', 12: 'cumi na kabiri', 13: 'cumi na gatatu', 14: 'cumi na kane', 15: 'cumi na gatanu',
+  16: 'cumi na gatandatu', 17: 'cumi na karindwi', 18: "cumi n'umunani", 19: "cumi n'icyenda", 20: 'makumyabiri',
+  21: 'makumyabiri na rimwe', 22: 'makumyabiri na kabiri', 23: 'makumyabiri na gatatu', 24: 'makumyabiri na kane', 25: 'makumyabiri na gatanu',
+  26: 'makumyabiri na gatandatu', 27: 'makumyabiri na karindwi', 28: "makumyabiri n'umunani", 29: "makumyabiri n'icyenda", 30: 'mirongo itatu',
+  31: 'mirongo itatu na rimwe', 32: 'mirongo itatu na kabiri', 33: 'mirongo itatu na gatatu', 34: 'mirongo itatu na kane', 35: 'mirongo itatu na gatanu',
+  36: 'mirongo itatu na gatandatu', 37: 'mirongo itatu na karindwi', 38: "mirongo itatu n'umunani", 39: "mirongo itatu n'icyenda", 40: 'mirongo ine',
+  41: 'mirongo ine na rimwe', 42: 'mirongo ine na kabiri', 43: 'mirongo ine na gatatu', 44: 'mirongo ine na kane', 45: 'mirongo ine na gatanu',
+  46: 'mirongo ine na gatandatu', 47: 'mirongo ine na karindwi', 48: "mirongo ine n'umunani", 49: "mirongo ine n'icyenda", 50: 'mirongo itanu',
+  51: 'mirongo itanu na rimwe', 52: 'mirongo itanu na kabiri', 53: 'mirongo itanu na gatatu', 54: 'mirongo itanu na kane', 55: 'mirongo itanu na gatanu',
+  56: 'mirongo itanu na gatandatu', 57: 'mirongo itanu na karindwi', 58: "mirongo itanu n'umunani", 59: "mirongo itanu n'icyenda", 60: 'mirongo itandatu',
+  61: 'mirongo itandatu na rimwe', 62: 'mirongo itandatu na kabiri', 63: 'mirongo itandatu na gatatu', 64: 'mirongo itandatu na kane', 65: 'mirongo itandatu na gatanu',
+  66: 'mirongo itandatu na gatandatu', 67: 'mirongo itandatu na karindwi', 68: "mirongo itandatu n'umunani", 69: "mirongo itandatu n'icyenda", 70: 'mirongo irindwi',
+  71: 'mirongo irindwi na rimwe', 72: 'mirongo irindwi na kabiri', 73: 'mirongo irindwi na gatatu', 74: 'mirongo irindwi na kane', 75: 'mirongo irindwi na gatanu',
+  76: 'mirongo irindwi na gatandatu', 77: 'mirongo irindwi na karindwi', 78: "mirongo irindwi n'umunani", 79: "mirongo irindwi n'icyenda", 80: 'mirongo inani',
+  81: 'mirongo inani na rimwe', 82: 'mirongo inani na kabiri', 83: 'mirongo inani na gatatu', 84: 'mirongo inani na kane', 85: 'mirongo inani na gatanu',
+  86: 'mirongo inani na gatandatu', 87: 'mirongo inani na karindwi', 88: "mirongo inani n'umunani", 89: "mirongo inani n'icyenda", 90: 'mirongo icyenda',
+  91: 'mirongo icyenda na rimwe', 92: 'mirongo icyenda na kabiri', 93: 'mirongo icyenda na gatatu', 94: 'mirongo icyenda na kane', 95: 'mirongo icyenda na gatanu',
+  96: 'mirongo icyenda na gatandatu', 97: 'mirongo icyenda na karindwi', 98: "mirongo icyenda n'umunani", 99: "mirongo icyenda n'icyenda", 100: 'ijana'
+};
+
+describe('Kinyarwanda number words', () => {
+  const translator = new Translator();
+
+  it('match the known-correct forms for 1-100', () => {
+    const mismatches = Object.entries(KINYARWANDA_NUMBERS)
+      .map(([num, expected]) => ({ num: Number(num), expected, actual: translator.translateNumber(Number(num), 'kinyarwanda') }))
+      .filter(({ expected, actual }) => expected !== actual);
+
+    expect(mismatches).toEqual([]);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { createMatchRecord, matchesToCSV } from '../src/utils/match-history.js';
+
+describe('matchesToCSV', () => {
+  it('gives each player only their own finds, even when names repeat', () => {
+    const match = createMatchRecord({
+      mode: 'local',
+      seed: 'abc',
+      language: 'english',
+      startedAt: Date.now(),
+      players: [
+        { id: 1, index: 1, name: 'CPU (Easy)', controller: 'easy', score: 1 },
+        { id: 2, index: 2, name: 'CPU (Easy)', controller: 'easy', score: 1 }
+      ],
+      finds: [
+        { playerId: 1, player: 'CPU (Easy)', target: 1, time: 1500 },
+        { playerId: 2, player: 'CPU (Easy)', target: 2, time: 3000 }
+      ]
+    });
+
+    const rows = matchesToCSV([{ ...match, id: 7 }]).split('\n');
+    expect(rows).toHaveLength(3);
+    expect(rows[1].endsWith(',1@1.5')).toBe(true);
+    expect(rows[2].endsWith(',2@3.0')).toBe(true);
+  });
+
+  it('falls back to names for finds recorded without a player id', () => {
+    const match = {
+      id: 3, date: '2026-01-01T00:00:00.000Z', mode: 'online', seed: null, language: 'english', duration: 0,
+      players: [{ name: 'Ann' }, { name: 'Bob' }],
+      finds: [{ player: 'Bob', target: 5, time: 2000 }]
+    };
+
+    const rows = matchesToCSV([match]).split('\n');
+    expect(rows[1].endsWith(',')).toBe(true);
+    expect(rows[2].endsWith(',5@2.0')).toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { Translator } from '../src/utils/translator.js';
+
+describe('Number words', () => {
+  const translator = new Translator();
+  const words = (num, language) => translator.translateNumber(num, language);
+
+  it('write French millions apart, as nouns', () => {
+    expect(words(1000000, 'france')).toBe('un million');
+    expect(words(2000000, 'france')).toBe('deux millions');
+    expect(words(200000000, 'france')).toBe('deux-cents millions');
+    expect(words(2300005, 'france')).toBe('deux millions trois-cent-mille-cinq');
+    expect(words(1000000000, 'france')).toBe('un milliard');
+  });
+
+  it('keep hyphens below a million in French', () => {
+    expect(words(80, 'france')).toBe('quatre-vingts');
+    expect(words(200000, 'france')).toBe('deux-cent-mille');
+    expect(words(1205, 'france')).toBe('mille-deux-cent-cinq');
+  });
+
+  it('join Swahili tens and units after hundreds and thousands with "na"', () => {
+    expect(words(105, 'swahili')).toBe('mia moja na tano');
+    expect(words(110, 'swahili')).toBe('mia moja na kumi');
+    expect(words(121, 'swahili')).toBe('mia moja na ishirini na moja');
+    expect(words(1010, 'swahili')).toBe('elfu moja na kumi');
+    expect(words(1205, 'swahili')).toBe('elfu moja mia mbili na tano');
+    expect(words(200, 'swahili')).toBe('mia mbili');
+  });
+});
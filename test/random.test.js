@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, dailySeed } from '../src/engine/random.js';
+import { GameEngine } from '../src/engine/game-engine.js';
+
+/**
+ * Take the first numbers of a random source
+ * @param {Function} random - Random number source
+ * @param {number} count - How many
+ * @returns {Array} The numbers
+ */
+function take(random, count = 10) {
+  return Array.from({ length: count }, () => random());
+}
+
+describe('createRandom', () => {
+  it('gives the same numbers for the same seed', () => {
+    expect(take(createRandom('shaka'))).toEqual(take(createRandom('shaka')));
+  });
+
+  it('gives different numbers for different seeds', () => {
+    expect(take(createRandom('shaka'))).not.toEqual(take(createRandom('shako')));
+  });
+
+  it('reads a number seed as its text', () => {
+    expect(take(createRandom(42))).toEqual(take(createRandom('42')));
+  });
+
+  it('stays within [0, 1)', () => {
+    take(createRandom('range'), 1000).forEach(n => {
+      expect(n).toBeGreaterThanOrEqual(0);
+      expect(n).toBeLessThan(1);
+    });
+  });
+
+  it('deals the same board for the same seed', () => {
+    const boards = [1, 2].map(() => {
+      const engine = new GameEngine({ rows: 5, cols: 5, sequence: 'random' });
+      engine.setup(null, 'same-board');
+      return engine.getState();
+    });
+    expect(boards[0]).toEqual(boards[1]);
+  });
+});
+
+describe('dailySeed', () => {
+  it('is the same all (UTC) day', () => {
+    const seed = dailySeed(new Date('2024-05-01T00:00:00Z'));
+    expect(seed).toBe('daily-2024-05-01');
+    expect(dailySeed(new Date('2024-05-01T23:59:59Z'))).toBe(seed);
+  });
+
+  it('changes with the day', () => {
+    expect(dailySeed(new Date('2024-05-02T00:00:00Z'))).toBe('daily-2024-05-02');
+  });
+});
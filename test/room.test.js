@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { Room } from '../server/room.js';
+
+/**
+ * Make a room of two ready players on a 3x3 board and start its game
+ * @returns {Object} { room, alice, bob }
+ */
+function startRoom() {
+  const room = new Room({ id: 'ABCDEF', rows: 3, cols: 3, seed: 'room-test' });
+  const alice = room.addPlayer({ playerName: '  Alice ' }, null);
+  const bob = room.addPlayer({ playerName: 'Bob' }, null);
+  room.startGame();
+  return { room, alice, bob };
+}
+
+/**
+ * Confirm the current target for a player
+ * @param {Room} room - The room
+ * @param {Object} player - Room player
+ * @returns {Object|null} Last move info
+ */
+function findTarget(room, player) {
+  return room.confirmSelection(player.id, room.engine.getPositionOf(room.engine.currentTarget));
+}
+
+describe('Room', () => {
+  it('stores trimmed names and keeps rejoin tokens out of the room data', () => {
+    const { room, alice } = startRoom();
+    expect(alice.name).toBe('Alice');
+    expect(room.toJSON().players.every(player => !('rejoinToken' in player))).toBe(true);
+  });
+
+  it('finishes as soon as a player owns more than half of the targets', () => {
+    const { room, alice } = startRoom();
+    // 9 targets: the fifth find is a majority
+    for (let i = 0; i < 4; i++) findTarget(room, alice);
+    expect(room.status).toBe('playing');
+
+    findTarget(room, alice);
+    expect(room.status).toBe('finished');
+    expect(room.engine.currentTarget).not.toBeNull();
+    expect(findTarget(room, alice)).toBeNull();
+  });
+
+  it('reopens a finished room for the next game', () => {
+    const { room, alice, bob } = startRoom();
+    alice.isReady = true;
+    bob.isReady = true;
+    for (let i = 0; i < 5; i++) findTarget(room, alice);
+
+    room.reopen();
+    expect(room.status).toBe('waiting');
+    expect(room.players.every(player => !player.isReady)).toBe(true);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { SEQUENCES, NUMBER_RANGES, orderTargets, buildNumbers, parseRangeSpec } from '../src/engine/sequences.js';
+import { createRandom } from '../src/engine/random.js';
+
+/**
+ * Numbers of a 4x5 board in the standard range
+ */
+const NUMBERS = Array.from({ length: 20 }, (_, i) => i + 1);
+
+/**
+ * Targets each sequence picks from NUMBERS, in order (random is checked on its own)
+ */
+const EXPECTED_TARGETS = {
+  ascending: NUMBERS,
+  countdown: [...NUMBERS].reverse(),
+  odds: [1, 3, 5, 7, 9, 11, 13, 15, 17, 19],
+  evens: [2, 4, 6, 8, 10, 12, 14, 16, 18, 20],
+  multiples: [3, 6, 9, 12, 15, 18],
+  primes: [2, 3, 5, 7, 11, 13, 17, 19],
+  fibonacci: [1, 2, 3, 5, 8, 13]
+};
+
+describe('orderTargets', () => {
+  Object.entries(EXPECTED_TARGETS).forEach(([sequence, targets]) => {
+    it(`orders the ${sequence} sequence`, () => {
+      expect(orderTargets(NUMBERS, sequence, createRandom('sequences'))).toEqual(targets);
+    });
+  });
+
+  it('orders every number at random, the same way for the same seed', () => {
+    const targets = orderTargets(NUMBERS, 'random', createRandom('sequences'));
+    expect([...targets].sort((a, b) => a - b)).toEqual(NUMBERS);
+    expect(targets).not.toEqual(NUMBERS);
+    expect(orderTargets(NUMBERS, 'random', createRandom('sequences'))).toEqual(targets);
+  });
+
+  it('covers every built-in sequence', () => {
+    expect(Object.keys(SEQUENCES).sort()).toEqual([...Object.keys(EXPECTED_TARGETS), 'random'].sort());
+  });
+
+  it('takes the step of multiples after a colon', () => {
+    expect(orderTargets(NUMBERS, 'multiples:5', Math.random)).toEqual([5, 10, 15, 20]);
+    expect(orderTargets(NUMBERS, 'multiples:1', Math.random)).toEqual(EXPECTED_TARGETS.multiples);
+  });
+
+  it('finds odd negative numbers', () => {
+    const numbers = NUMBER_RANGES.negatives.build(12);
+    expect(orderTargets(numbers, 'odds', Math.random)).toEqual([-5, -3, -1, 1, 3, 5]);
+  });
+
+  it('falls back to ascending for an unknown sequence', () => {
+    expect(orderTargets(NUMBERS, 'sideways', Math.random)).toEqual(NUMBERS);
+  });
+
+  it('uses every number when the sequence picks none of them', () => {
+    expect(orderTargets([4, 6, 7], 'fibonacci', Math.random)).toEqual([4, 6, 7]);
+  });
+});
+
+describe('buildNumbers', () => {
+  it('builds the built-in ranges', () => {
+    expect(buildNumbers('standard', 4, Math.random)).toEqual([1, 2, 3, 4]);
+    expect(buildNumbers('hundreds', 4, Math.random)).toEqual([101, 102, 103, 104]);
+    expect(buildNumbers('negatives', 4, Math.random)).toEqual([-2, -1, 0, 1]);
+
+    const thousands = buildNumbers('thousands', 20, createRandom('thousands'));
+    expect(new Set(thousands).size).toBe(20);
+    expect(thousands.every(n => n >= 1000 && n <= 9999)).toBe(true);
+    expect(buildNumbers('thousands', 20, createRandom('thousands'))).toEqual(thousands);
+  });
+
+  it('reads a custom spec', () => {
+    expect(parseRangeSpec('1-3, 10..12, -2 to -1')).toEqual([-2, -1, 1, 2, 3, 10, 11, 12]);
+    expect(buildNumbers('5-8', 10, Math.random)).toEqual([5, 6, 7, 8]);
+  });
+
+  it('picks a seeded selection when a spec has more numbers than cells', () => {
+    const numbers = buildNumbers('1-100', 10, createRandom('spec'));
+    expect(numbers).toHaveLength(10);
+    expect(buildNumbers('1-100', 10, createRandom('spec'))).toEqual(numbers);
+  });
+
+  it('falls back to the standard range for a spec it cannot read', () => {
+    expect(buildNumbers('lots', 3, Math.random)).toEqual([1, 2, 3]);
+  });
+});
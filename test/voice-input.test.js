@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { VoiceInput, ScriptedRecognizer } from '../src/utils/voice-input.js';
+import { Translator } from '../src/utils/translator.js';
+
+/**
+ * Board numbers the voice input can match
+ */
+const NUMBERS = Array.from({ length: 100 }, (_, i) => i + 1);
+
+/**
+ * Number words as a recognizer would hear them, per language
+ */
+const SPOKEN_NUMBERS = {
+  english: [['twenty-one', 21], ['Seventy five', 75], ['thirteen', 13]],
+  france: [['vingt et un', 21], ['quatre-vingt-dix-neuf', 99], ['soixante quinze', 75]],
+  kinyarwanda: [['makumyabiri na rimwe', 21], ["mirongo icyenda n'icyenda", 99], ['cumi na gatatu', 13]],
+  swahili: [['ishirini na moja', 21], ['sabini na tano', 75], ['kumi na tatu', 13]],
+  roman: [['XXI', 21], ['xcix', 99], ['XIII', 13]]
+};
+
+/**
+ * Command words per language, in the order up, right, down, left, confirm
+ */
+const SPOKEN_COMMANDS = {
+  english: ['up', 'right', 'down', 'left', 'select'],
+  france: ['haut', 'droite', 'bas', 'gauche', 'valide'],
+  kinyarwanda: ['hejuru', 'iburyo', 'hasi', 'ibumoso', 'emeza'],
+  swahili: ['juu', 'kulia', 'chini', 'kushoto', 'chagua'],
+  roman: ['up', 'right', 'down', 'left', 'confirm']
+};
+
+describe('VoiceInput with a ScriptedRecognizer', () => {
+  let recognizer;
+  let voice;
+  let heard;
+
+  beforeEach(() => {
+    recognizer = new ScriptedRecognizer();
+    heard = [];
+    voice = new VoiceInput({
+      translator: new Translator(),
+      getNumbers: () => NUMBERS,
+      onNumber: number => heard.push(number),
+      onMove: direction => heard.push(direction),
+      onConfirm: () => heard.push('confirm'),
+      recognizer
+    });
+    voice.start();
+  });
+
+  Object.entries(SPOKEN_NUMBERS).forEach(([language, phrases]) => {
+    it(`turns ${language} number words into numbers`, () => {
+      voice.setLanguage(language);
+      phrases.forEach(([phrase]) => recognizer.say(phrase));
+      expect(heard).toEqual(phrases.map(([, number]) => number));
+    });
+  });
+
+  Object.entries(SPOKEN_COMMANDS).forEach(([language, words]) => {
+    it(`turns ${language} command words into moves and a confirm`, () => {
+      voice.setLanguage(language);
+      words.forEach(word => recognizer.say(word));
+      expect(heard).toEqual(['up', 'right', 'down', 'left', 'confirm']);
+    });
+  });
+
+  it('runs a series of commands said in one phrase', () => {
+    recognizer.say('left left up');
+    expect(heard).toEqual(['left', 'left', 'up']);
+  });
+
+  it('uses the first alternative that makes sense', () => {
+    recognizer.say('banana', 'forty two');
+    expect(heard).toEqual([42]);
+  });
+
+  it('takes digits as numbers', () => {
+    recognizer.say('57');
+    expect(heard).toEqual([57]);
+  });
+
+  it('ignores words that are neither numbers nor commands', () => {
+    recognizer.say('hello there');
+    expect(heard).toEqual([]);
+  });
+
+  it('listens for the language it is set to', () => {
+    voice.setLanguage('france');
+    expect(recognizer.lang).toBe('fr-FR');
+  });
+
+  it('hears nothing once stopped', () => {
+    voice.stop();
+    recognizer.say('up');
+    expect(heard).toEqual([]);
+  });
+});
@@ -25,6 +25,13 @@ export default defineConfig({
   server: {
     port: 3002,
     open: true,
+    // Forward multiplayer connections to `npm run server`
+    proxy: {
+      '/ws': {
+        target: 'ws://localhost:8080',
+        ws: true,
+      },
+    },
   },
   
   // Resolve module aliases